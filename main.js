@@ -8,6 +8,174 @@ const SPELL_LEVEL_FOLDERS = [
   "1st", "2nd", "3rd", "4th", "5th", "6th", "7th", "8th", "9th"
 ];
 
+const RETIRED_FOLDER = "Retired";
+
+const FOLDER_SCHEMES = {
+  level: "By spell level",
+  type: "By item type",
+  creator: "By creator",
+  creatorLevel: "By creator, then spell level"
+};
+
+const TEMPLATE_PACK = "innovation-templates";
+
+/** Drag payload types used by the Codex window. */
+const DRAG_TYPES = {
+  blueprint: "InnovationBlueprint",
+  transfer: "InnovationTransfer"
+};
+
+const INNOVATION_ITEM_TYPES = {
+  weapon: "Weapon",
+  equipment: "Equipment",
+  consumable: "Consumable",
+  tool: "Tool",
+  loot: "Loot"
+};
+
+const RANGE_PRESETS = {
+  0: "Unlimited",
+  5: "Touch",
+  10: "10 ft",
+  30: "30 ft",
+  60: "60 ft",
+  120: "120 ft"
+};
+
+const DURATION_MODES = {
+  none: "Until recalled",
+  longRest: "Until long rest",
+  shortRest: "Until short rest",
+  hours: "Hours of world time",
+  rounds: "Combat rounds"
+};
+
+const SLOT_COST_MODES = {
+  standard: "Spell slot",
+  pact: "Pact magic slot",
+  none: "No spell slot"
+};
+
+const RESOURCE_KEYS = {
+  primary: "Primary resource",
+  secondary: "Secondary resource",
+  tertiary: "Tertiary resource"
+};
+
+const CURRENCY_DENOMINATIONS = ["pp", "gp", "ep", "sp", "cp"];
+
+const FABRICATION_ERRORS = {
+  NOT_FOUND: "The owner, target or blueprint could not be found.",
+  NOT_IN_CODEX: "That blueprint does not belong to this codex.",
+  PERMISSION_DENIED: "You do not own the actor that holds this codex.",
+  NOT_APPROVED: "This blueprint is awaiting GM approval.",
+  RESEARCHING: "This blueprint's research project is not finished.",
+  NO_LEVEL: "Assign a spell level before fabricating.",
+  LEVEL_MISMATCH: "The blueprint's spell level has changed. Reopen the Codex and try again.",
+  INVALID_CAST_LEVEL: "That slot level cannot be used for this blueprint.",
+  LIMIT_REACHED: "The codex already has its maximum number of active innovations.",
+  OUT_OF_RANGE: "The target is not within the blueprint's range of the caster.",
+  ATTUNEMENT_FULL: "The recipient cannot attune to any more items.",
+  CANNOT_PAY: "The fabrication cost cannot be paid.",
+  PAYMENT_FAILED: "The fabrication cost could not be deducted. Nothing was spent.",
+  CREATE_FAILED: "The item could not be created. The fabrication cost was restored.",
+  RESTORE_FAILED: "Fabrication failed and its cost could not be restored. The GM has been told."
+};
+
+/**
+ * Flags players may set through the setFlag GM handler, and the kind of item
+ * each one belongs on. Anything else needs a dedicated handler or a GM.
+ */
+const CLIENT_FLAG_KEYS = {
+  duration: "blueprint",
+  cost: "blueprint",
+  scaling: "blueprint",
+  range: "blueprint",
+  recipientEffects: "blueprint",
+  refund: "blueprint",
+  copyUses: "blueprint"
+};
+
+/** Blueprint flags that change what a copy does; a player changing one sends the blueprint back for review. */
+const REVIEWED_FLAG_KEYS = ["duration", "cost", "scaling", "range", "recipientEffects", "refund", "copyUses"];
+
+const LEDGER_ACTIONS = {
+  create: "Created",
+  research: "Research",
+  level: "Level changed",
+  fabricate: "Fabricated",
+  update: "Updated copies",
+  transfer: "Transferred",
+  share: "Shared",
+  recall: "Recalled",
+  dismantle: "Dismantled",
+  malfunction: "Malfunctioned",
+  expire: "Expired"
+};
+
+/** How the charges of fabricated copies come back; keys are dnd5e recovery periods. */
+const COPY_RECOVERY = {
+  none: "No recovery",
+  sr: "Short rest",
+  lr: "Long rest",
+  dawn: "Each dawn"
+};
+
+const MALFUNCTION_MODES = {
+  none: "Never",
+  chance: "Failure chance on each use",
+  check: "Holder rolls a check on each use"
+};
+
+const MALFUNCTION_OUTCOMES = {
+  charge: "Loses a charge",
+  destroy: "Destroyed",
+  table: "Roll on a table"
+};
+
+const REFUND_POLICIES = {
+  none: "No refund",
+  slot: "Restore the spell slot",
+  unused: "Restore the slot if unused before the caster's next rest"
+};
+
+/** Passed with updates made by the mirror sync, so its own hooks ignore them. */
+const SYNC_OPTIONS = { [MODULE_ID]: { sync: true } };
+
+const SYNC_POLICIES = {
+  gm: "GM wins (world mirror)",
+  player: "Player wins (actor blueprint)"
+};
+
+/** How many snapshots each blueprint keeps in its version history. */
+const MAX_BLUEPRINT_VERSIONS = 20;
+
+/**
+ * Blueprint flags that describe where a blueprint came from or where it stands in one codex.
+ * A shared copy sets its own; every other flag is part of the design and is copied over.
+ */
+const SHARE_BOOKKEEPING_FLAGS = [
+  "isInnovation", "spellLevel", "levelExempt", "createdBy", "contributorName", "createdAt",
+  "reviewStatus", "reviewNote", "reviewedBy", "research", "version", "versions",
+  "originalCreator", "sourceCodex", "sourceBlueprintUuid", "sharedAt",
+  "mirrorOf", "syncedVersion", "retired", "retiredAt"
+];
+
+/** How long a blueprint offer waits for an answer before it counts as declined, in milliseconds. */
+const SHARE_OFFER_TIMEOUT = 2 * 60 * 1000;
+
+const LEVEL_RULES = {
+  none: "Any level",
+  slots: "Highest spell slot the caster has",
+  table: "Class level table"
+};
+
+const REVIEW_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected"
+};
+
 /** @type {import("socketlib").SocketlibSocket} */
 let icSocket;
 
@@ -22,9 +190,20 @@ function _registerSocketlib() {
   sock.register("createInnovation", _gmCreateInnovation);
   sock.register("fabricate", _gmFabricate);
   sock.register("recall", _gmRecall);
+  sock.register("dismantle", _gmDismantle);
+  sock.register("cleanUp", _gmCleanUpFabrication);
+  sock.register("malfunction", _gmResolveMalfunction);
+  sock.register("recordUse", _gmRecordUse);
   sock.register("setFlag", _gmSetFlag);
   sock.register("mirror", _gmMirror);
   sock.register("notify", _gmNotify);
+  sock.register("reviewInnovation", _gmReviewInnovation);
+  sock.register("setLevel", _gmSetBlueprintLevel);
+  sock.register("transfer", _gmTransfer);
+  sock.register("pushVersion", _gmPushBlueprintVersion);
+  sock.register("shareBlueprint", _gmShareBlueprint);
+  sock.register("shareOffer", promptShareOffer);
+  sock.register("logResearch", _gmLogResearch);
   icSocket = sock;
   console.log(`${MODULE_ID} | socketlib registered successfully`);
 }
@@ -34,17 +213,73 @@ function _registerSocketlib() {
 /*  These run on the GM client via socketlib          */
 /* ================================================== */
 
+/**
+ * The user who issued a socketlib call. Handlers receive it as this.socketdata.
+ * @param {object} context - The handler's `this`
+ * @returns {User|null}
+ */
+function _getCallingUser(context) {
+  return game.users.get(context?.socketdata?.userId) ?? null;
+}
+
+/**
+ * Whether a user can at least observe a document. Compendium documents use the pack's permission.
+ */
+function _userCanView(user, document) {
+  if (!user || !document) return false;
+  if (user.isGM) return true;
+  if (document.pack) return Boolean(game.packs.get(document.pack)?.testUserPermission(user, "OBSERVER"));
+  return document.testUserPermission(user, CONST.DOCUMENT_OWNERSHIP_LEVELS.OBSERVER);
+}
+
+function _userOwns(user, document) {
+  if (!user || !document) return false;
+  return user.isGM || document.testUserPermission(user, CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER);
+}
+
+/**
+ * Whether a user may work with a codex, or with a blueprint inside one: they own it,
+ * or it is a party codex and they own one of the group's members.
+ * @param {User|null} user
+ * @param {Item} item - A codex or blueprint
+ */
+function _userCanUseCodex(user, item) {
+  if (_userOwns(user, item)) return true;
+  const codex = isCodexItem(item) ? item : getBlueprintCodex(item);
+  return isPartyCodex(codex) && getGroupMembers(codex.parent).some((member) => _userOwns(user, member));
+}
+
+/**
+ * Refuse a socket request and let the GMs know about it.
+ * @param {User|null} user
+ * @param {string} action - Name of the refused operation
+ * @param {string} reason
+ */
+async function _rejectRequest(user, action, reason) {
+  const userName = user?.name ?? "An unknown user";
+  console.warn(`${MODULE_ID} | Rejected ${action} from ${userName}: ${reason}`);
+  await _gmNotify(`Blocked a <strong>${action}</strong> request from <strong>${userName}</strong>: ${reason}`);
+}
+
 /**
  * GM handler: Add a codex container to an actor.
+ * A group actor receives a party codex, which any owner of one of its members may add.
  * @param {string} actorUuid - The actor to receive the codex
+ * @param {string|null} [name] - Name of the codex; without one, an existing codex is reused
  * @returns {string|null} The UUID of the created codex item, or null
  */
-async function _gmAddCodexToActor(actorUuid) {
+async function _gmAddCodexToActor(actorUuid, name = null) {
+  const user = _getCallingUser(this);
   const actor = await fromUuid(actorUuid);
   if (!(actor instanceof Actor)) return null;
+  const isGroup = actor.type === "group";
+  if (!_userOwns(user, actor) && !(isGroup && getGroupMembers(actor).some((m) => _userOwns(user, m)))) {
+    await _rejectRequest(user, "add codex", `they do not own <strong>${actor.name}</strong>.`);
+    return null;
+  }
 
-  // Check if already has codex
-  const existing = actor.items.find((i) => isCodexItem(i));
+  // Reuse a codex of the same name, or any codex when no name was asked for
+  const existing = actor.items.find((i) => isCodexItem(i) && (!name || i.name === name));
   if (existing) return existing.uuid;
 
   // Find world codex template
@@ -54,6 +289,7 @@ async function _gmAddCodexToActor(actorUuid) {
   const codexData = worldCodex.toObject();
   delete codexData._id;
   delete codexData.folder;
+  if (name) codexData.name = name;
   foundry.utils.setProperty(codexData, "system.container", null);
   foundry.utils.setProperty(codexData, "system.containerId", null);
 
@@ -67,839 +303,4804 @@ async function _gmAddCodexToActor(actorUuid) {
  * @param {string} codexId - The ID of the codex item on the actor
  * @param {string} itemName
  * @param {string} itemType
+ * @param {string|null} [sourceUuid] - A template or existing item to copy, including its activities and effects
+ * @param {string|null} [contributorUuid] - For party codexes, the member adding the blueprint
+ * @param {number|null} [intendedLevel] - Level the blueprint is researched for; sizes its research project
  * @returns {string|null} UUID of the created item
  */
-async function _gmCreateInnovation(actorUuid, codexId, itemName, itemType) {
+async function _gmCreateInnovation(actorUuid, codexId, itemName, itemType, sourceUuid = null, contributorUuid = null, intendedLevel = null) {
+  const user = _getCallingUser(this);
   const actor = await fromUuid(actorUuid);
   if (!(actor instanceof Actor)) return null;
+  const codex = actor.items.get(codexId);
+  if (!isCodexItem(codex)) {
+    await _rejectRequest(user, "create innovation", `<strong>${actor.name}</strong> has no codex with id ${codexId}.`);
+    return null;
+  }
+
+  // Party codexes record which member contributed the blueprint; that member must be the caller's
+  const contributor = contributorUuid ? await fromUuid(contributorUuid) : actor;
+  const canContribute = contributor === actor
+    || (isPartyCodex(codex) && getGroupMembers(actor).some((m) => m.uuid === contributor?.uuid));
+  if (!canContribute || !_userOwns(user, contributor)) {
+    await _rejectRequest(user, "create innovation", `they cannot add blueprints to <strong>${codex.name}</strong> as <strong>${contributor?.name ?? "an unknown actor"}</strong>.`);
+    return null;
+  }
+
+  const flags = {
+    isInnovation: true,
+    spellLevel: null,
+    createdBy: contributor.uuid,
+    contributorName: contributor.name,
+    // Blueprints created by a GM skip the review queue
+    reviewStatus: user?.isGM ? REVIEW_STATUS.APPROVED : REVIEW_STATUS.PENDING
+  };
 
-  const [created] = await actor.createEmbeddedDocuments("Item", [{
+  let itemData = {
     name: itemName,
-    type: itemType || "loot",
-    flags: {
-      [MODULE_ID]: {
-        isInnovation: true,
-        spellLevel: null,
-        createdBy: actorUuid
-      }
-    },
-    system: {
-      container: codexId
+    type: itemType in INNOVATION_ITEM_TYPES ? itemType : "loot",
+    system: {}
+  };
+
+  if (sourceUuid) {
+    const source = await fromUuid(sourceUuid);
+    if (!(source instanceof Item) || !(source.type in INNOVATION_ITEM_TYPES)) {
+      await _rejectRequest(user, "create innovation", "the source is not a physical item.");
+      return null;
+    }
+    if (!_userCanView(user, source)) {
+      await _rejectRequest(user, "create innovation", `they cannot see <strong>${source.name}</strong>.`);
+      return null;
     }
-  }]);
+    itemData = source.toObject();
+    delete itemData._id;
+    delete itemData.folder;
+    delete itemData.ownership;
+    itemData.name = itemName || source.name;
+    flags.templateUuid = source.uuid;
+    flags.templateName = source.name;
+    flags.suggestedLevel = source.getFlag(MODULE_ID, "suggestedLevel") ?? null;
+  }
 
-  return created?.uuid ?? null;
+  // Player blueprints start as a research project paid for by the contributor
+  const research = user?.isGM ? null : buildResearchProject(getResearchRequirements(intendedLevel ?? flags.suggestedLevel));
+  const researchCosts = research?.goldCost ? [{ type: "currency", denomination: "gp", amount: research.goldCost }] : [];
+  const problems = checkFabricationCosts(contributor, researchCosts);
+  if (problems.length) {
+    await _rejectRequest(user, "create innovation", `<strong>${contributor.name}</strong> cannot fund the research: ${problems.join(" ")}`);
+    return null;
+  }
+  if (research) flags.research = research;
+
+  // Module flags from the source (template markers, mirror links) never carry over
+  foundry.utils.setProperty(itemData, `flags.${MODULE_ID}`, flags);
+  foundry.utils.setProperty(itemData, "system.container", codexId);
+
+  // Pay for the research, then create; restore the payment if either step throws
+  const payment = planFabricationPayment(contributor, researchCosts);
+  let created;
+  try {
+    await payFabricationCosts(contributor, payment);
+    [created] = await actor.createEmbeddedDocuments("Item", [itemData]);
+    if (!created) throw new Error("Item creation returned nothing");
+  } catch (err) {
+    console.error(`${MODULE_ID} | Creating ${itemData.name} failed, rolling back:`, err);
+    try {
+      await restoreFabricationCosts(contributor, payment.receipt);
+    } catch (restoreErr) {
+      console.error(`${MODULE_ID} | Could not restore research costs for ${contributor.name}:`, restoreErr);
+      await _gmNotify(`Creating <strong>${itemData.name}</strong> failed and <strong>${contributor.name}</strong>'s research gold could not be restored automatically. Please check their currency.`);
+    }
+    return null;
+  }
+
+  await _commitBlueprintVersion(created, user);
+  await _appendLedger(codex, {
+    action: "create",
+    blueprintName: created.name,
+    blueprintUuid: created.uuid,
+    details: [
+      flags.templateName ? `From template ${flags.templateName}` : "",
+      research ? `Research for level ${research.level}: ${research.requiredHours}h, ${research.goldCost} gp` : ""
+    ].filter(Boolean).join("; ")
+  }, user);
+  return created.uuid;
 }
 
 /**
  * GM handler: Fabricate an item onto a target actor.
- * Deducts a spell slot from the owner and creates a temporary copy on the target.
+ * Runs as a transaction: the blueprint's level is re-derived from the codex,
+ * the calling user must own the codex's actor, and every cost paid is
+ * restored if creating the copy fails.
  * @param {string} ownerActorUuid
  * @param {string} targetActorUuid
  * @param {string} blueprintUuid
  * @param {string} codexUuid
- * @param {number} slotLevel
- * @returns {boolean} success
+ * @param {number} slotLevel - The level the client believes the blueprint has
+ * @param {object} [options]
+ * @param {boolean} [options.replaceOldest] - Recall the oldest copies if the codex is at its limit
+ * @param {number} [options.castLevel] - Slot level to spend, at or above slotLevel (upcasting)
+ * @param {boolean} [options.usePact] - Spend a pact magic slot
+ * @param {string} [options.unattuneId] - Recipient item to stop attuning to when their attunement is full
+ * @returns {{ok: boolean, code?: string, message?: string, itemUuid?: string}}
  */
-async function _gmFabricate(ownerActorUuid, targetActorUuid, blueprintUuid, codexUuid, slotLevel) {
+async function _gmFabricate(ownerActorUuid, targetActorUuid, blueprintUuid, codexUuid, slotLevel, options = {}) {
+  const user = _getCallingUser(this);
   const ownerActor = await fromUuid(ownerActorUuid);
   const targetActor = await fromUuid(targetActorUuid);
   const blueprint = await fromUuid(blueprintUuid);
+  const codex = await fromUuid(codexUuid);
 
   if (!(ownerActor instanceof Actor) || !(targetActor instanceof Actor) || !(blueprint instanceof Item)) {
-    return false;
+    return _fabricationError("NOT_FOUND");
+  }
+  // The caster is the codex's actor, or for a party codex any member of the group
+  if (!isCodexItem(codex) || !isItemInCodex(blueprint, codex)
+    || !getCodexCasters(codex).some((a) => a.uuid === ownerActor.uuid)) {
+    return _fabricationError("NOT_IN_CODEX");
+  }
+  if (!_userOwns(user, ownerActor)) {
+    await _rejectRequest(user, "fabricate", `they do not own <strong>${ownerActor.name}</strong>.`);
+    return _fabricationError("PERMISSION_DENIED");
   }
 
-  // Deduct spell slot
-  const slotPath = `system.spells.spell${slotLevel}.value`;
-  const currentSlots = foundry.utils.getProperty(ownerActor, slotPath);
-  if (!Number.isFinite(currentSlots) || currentSlots <= 0) return false;
+  // Blueprints must be approved by a GM before they can be fabricated
+  if (getReviewStatus(blueprint) !== REVIEW_STATUS.APPROVED) return _fabricationError("NOT_APPROVED");
+  if (!isResearchComplete(blueprint)) return _fabricationError("RESEARCHING");
 
-  await ownerActor.update({ [slotPath]: currentSlots - 1 });
+  // Never trust the client's level: re-derive it from the codex
+  const baseLevel = getSlotLevel(codex, blueprint);
+  if (!baseLevel) return _fabricationError("NO_LEVEL");
+  if (Number.parseInt(slotLevel, 10) !== baseLevel) return _fabricationError("LEVEL_MISMATCH");
 
-  // Create temporary item on target
-  const itemData = blueprint.toObject();
-  delete itemData._id;
-  foundry.utils.setProperty(itemData, "system.container", null);
-  foundry.utils.setProperty(itemData, "system.containerId", null);
-  itemData.name = `Temporary ${blueprint.name}`;
-  foundry.utils.setProperty(itemData, `flags.${MODULE_ID}.originUuid`, codexUuid);
-  foundry.utils.setProperty(itemData, `flags.${MODULE_ID}.isTemporary`, true);
+  const castLevel = Number.parseInt(options.castLevel ?? baseLevel, 10);
+  if (!Number.isFinite(castLevel) || castLevel < baseLevel || castLevel > 9) {
+    return _fabricationError("INVALID_CAST_LEVEL");
+  }
+  if (!isTargetInRange(ownerActor, targetActor, getBlueprintRange(blueprint))) return _fabricationError("OUT_OF_RANGE");
 
-  await targetActor.createEmbeddedDocuments("Item", [itemData]);
-  return true;
+  // Enforce the concurrent fabrication limit; the oldest copies are recalled only once the new one exists
+  const limit = getActiveLimit(ownerActor);
+  let toReplace = [];
+  if (limit === 0) return _fabricationError("LIMIT_REACHED");
+  if (limit !== null) {
+    const active = getCasterFabrications(codex, ownerActor);
+    const excess = active.length - limit + 1;
+    if (excess > 0) {
+      if (!options.replaceOldest) return _fabricationError("LIMIT_REACHED");
+      toReplace = active.slice(0, excess);
+    }
+  }
+
+  const costs = getFabricationCosts(blueprint, castLevel, { usePact: Boolean(options.usePact) });
+  const problems = checkFabricationCosts(ownerActor, costs);
+  if (problems.length) return _fabricationError("CANNOT_PAY", problems.join(" "));
+
+  // Copies that need attunement arrive attuned, so a full recipient has to give one up
+  const needsAttunement = requiresAttunement(blueprint);
+  const unattune = needsAttunement && isAttunementFull(targetActor) ? targetActor.items.get(options.unattuneId) : null;
+  if (needsAttunement && isAttunementFull(targetActor) && !unattune?.system?.attuned) {
+    return _fabricationError("ATTUNEMENT_FULL");
+  }
+
+  // Build the temporary copy from a recorded version, so it can be compared and updated later
+  await _commitBlueprintVersion(blueprint, user);
+  const itemData = buildFabricatedData(blueprint, codexUuid, { baseLevel, castLevel });
+  foundry.utils.setProperty(itemData, `flags.${MODULE_ID}.expiry`, buildExpiry(getBlueprintDuration(blueprint)));
+  foundry.utils.setProperty(itemData, `flags.${MODULE_ID}.createdAt`, Date.now());
+  foundry.utils.setProperty(itemData, `flags.${MODULE_ID}.fabricatedBy`, ownerActor.uuid);
+  const fabricationId = foundry.utils.randomID();
+  foundry.utils.setProperty(itemData, `flags.${MODULE_ID}.fabricationId`, fabricationId);
+  const slotCost = costs.find((c) => c.type === "slot" || c.type === "pact");
+  if (needsAttunement) foundry.utils.setProperty(itemData, "system.attuned", true);
+
+  // Pay, then create; restore from the receipt if any write throws, including one of the payment's own
+  const payment = planFabricationPayment(ownerActor, costs);
+  let paid = false;
+  let created;
+  try {
+    await payFabricationCosts(ownerActor, payment);
+    paid = true;
+    if (unattune) await unattune.update({ "system.attuned": false });
+    [created] = await targetActor.createEmbeddedDocuments("Item", [itemData]);
+    if (!created) throw new Error("Item creation returned nothing");
+  } catch (err) {
+    console.error(`${MODULE_ID} | Fabrication of ${blueprint.name} failed, rolling back:`, err);
+    if (unattune && !unattune.system.attuned) await unattune.update({ "system.attuned": true });
+    try {
+      await restoreFabricationCosts(ownerActor, payment.receipt);
+    } catch (restoreErr) {
+      console.error(`${MODULE_ID} | Could not restore fabrication costs for ${ownerActor.name}:`, restoreErr);
+      await _gmNotify(`Fabricating <strong>${blueprint.name}</strong> failed and <strong>${ownerActor.name}</strong>'s costs could not be restored automatically. Please check their resources.`);
+      return _fabricationError("RESTORE_FAILED");
+    }
+    return _fabricationError(paid ? "CREATE_FAILED" : "PAYMENT_FAILED");
+  }
+
+  // Refund terms and usage live on the codex, where the holder cannot rewrite them
+  const refundPolicy = blueprint.getFlag(MODULE_ID, "refund");
+  await codex.update({
+    [`flags.${MODULE_ID}.fabrications.${fabricationId}`]: {
+      fabricatedBy: ownerActor.uuid,
+      spentSlot: slotCost ? { type: slotCost.type, level: slotCost.level } : null,
+      refund: refundPolicy in REFUND_POLICIES ? refundPolicy : "none",
+      used: false,
+      refundLapsed: false
+    }
+  });
+
+  for (const item of toReplace) {
+    await _removeFabricatedItem(item, { user, details: `Replaced by ${created.name}` });
+  }
+  await _applyRecipientEffects(created, getRecipientEffectData(blueprint));
+
+  await _appendLedger(codex, {
+    action: "fabricate",
+    blueprintName: blueprint.name,
+    blueprintUuid: blueprint.uuid,
+    itemUuid: created.uuid,
+    targetName: targetActor.name,
+    targetUuid: targetActor.uuid,
+    slotLevel: castLevel,
+    details: [...costs.map(describeCost), unattune ? `Replaced attunement to ${unattune.name}` : ""]
+      .filter(Boolean).join("; ")
+  }, user);
+  await _postInnovationCard("fabricate", {
+    item: created,
+    codex,
+    creator: ownerActor,
+    recipient: targetActor,
+    slotLabel: slotCost ? describeCost(slotCost) : "None"
+  });
+  return { ok: true, itemUuid: created.uuid };
+}
+
+/**
+ * Build a structured fabrication failure.
+ * @param {string} code - A key of FABRICATION_ERRORS
+ * @param {string} [detail] - Extra text appended to the message
+ */
+function _fabricationError(code, detail) {
+  const message = FABRICATION_ERRORS[code] ?? "Fabrication failed.";
+  return { ok: false, code, message: detail ? `${message} ${detail}` : message };
 }
 
 /**
  * GM handler: Recall (delete) a fabricated item.
+ * The calling user must own the codex the item was fabricated from; GMs may recall any copy,
+ * including one whose codex is gone.
  * @param {string} itemUuid
  * @param {string} codexUuid
+ * @param {string} [details] - Ledger note
  * @returns {boolean}
  */
-async function _gmRecall(itemUuid, codexUuid) {
+async function _gmRecall(itemUuid, codexUuid, details = "") {
+  const user = _getCallingUser(this);
   const item = await fromUuid(itemUuid);
   if (!(item instanceof Item)) return false;
   const originUuid = item.getFlag(MODULE_ID, "originUuid");
   if (originUuid !== codexUuid) return false;
 
-  if (item.parent instanceof Actor) {
-    await item.parent.deleteEmbeddedDocuments("Item", [item.id]);
-  } else {
-    await item.delete();
+  const codex = await fromUuid(codexUuid ?? "");
+  if (!user?.isGM && !_userCanUseCodex(user, codex)) {
+    await _rejectRequest(user, "recall", `they do not own the codex that made <strong>${item.name}</strong>.`);
+    return false;
   }
+
+  const holder = item.parent;
+  const cardData = { item: item.toObject(), codex, creator: codex?.parent, recipient: holder };
+  await _removeFabricatedItem(item, { user, details });
+  await _postInnovationCard("recall", cardData);
   return true;
 }
 
 /**
- * GM handler: Update flags on an actor-owned item (codex or blueprint).
+ * GM handler: The holder of a fabricated item takes it apart.
+ * The calling user must own the holder, and the item must come from a codex.
+ * The codex's owners are told, and the blueprint's refund policy applies as for a recall.
  * @param {string} itemUuid
- * @param {string} flagKey - e.g. "slotLevelsByUuid"
- * @param {*} flagValue
+ * @returns {boolean}
  */
-async function _gmSetFlag(itemUuid, flagKey, flagValue) {
+async function _gmDismantle(itemUuid) {
+  const user = _getCallingUser(this);
   const item = await fromUuid(itemUuid);
-  if (!(item instanceof Item)) return;
-  await item.setFlag(MODULE_ID, flagKey, flagValue);
+  if (!(item instanceof Item) || !item.getFlag(MODULE_ID, "isTemporary")) return false;
+  const holder = item.parent;
+  if (!_userOwns(user, holder)) {
+    await _rejectRequest(user, "dismantle", `they do not own <strong>${holder?.name ?? "the holder"}</strong>.`);
+    return false;
+  }
+  const codex = await fromUuid(item.getFlag(MODULE_ID, "originUuid") ?? "");
+  if (!isCodexItem(codex)) {
+    await _rejectRequest(user, "dismantle", `<strong>${item.name}</strong> does not come from a codex.`);
+    return false;
+  }
+
+  const refund = await _removeFabricatedItem(item, { action: "dismantle", user, details: `Dismantled by ${holder.name}` });
+  if (codex.parent instanceof Actor) {
+    const refundNote = refund ? ` ${describeCost(refund)} restored to ${fromUuidSync(refund.casterUuid ?? "")?.name ?? codex.parent.name}.` : "";
+    await _whisperOwners(codex.parent, `<strong>${holder.name}</strong> dismantled <strong>${item.name}</strong>.${refundNote}`);
+  }
+  return true;
 }
 
 /**
- * GM handler: Mirror an actor item to the world Items folder.
- * @param {object} itemData - serialized item data
- * @param {string} actorItemUuid
- * @param {number|null} level
+ * GM handler: Remove a stale or orphaned fabricated item without a refund.
+ * Only callable by a GM user. The holder's owners, and the codex's if it still exists, are told.
+ * @param {string} itemUuid
+ * @returns {boolean} Whether the item was removed
  */
-async function _gmMirror(itemData, actorItemUuid, level) {
-  const folder = getSpellLevelFolder(level);
-  if (!folder) {
-    console.warn(`${MODULE_ID} | _gmMirror: folder not found for level ${level}`);
-    return;
+async function _gmCleanUpFabrication(itemUuid) {
+  const user = _getCallingUser(this);
+  if (!user?.isGM) {
+    await _rejectRequest(user, "clean up", "only a GM can clean up fabricated items.");
+    return false;
   }
+  const item = await fromUuid(itemUuid);
+  if (!(item instanceof Item) || !item.getFlag(MODULE_ID, "isTemporary")) return false;
+  const { isStale, staleReason } = getFabricationHealth(item);
+  if (!isStale) return false;
 
-  let mirrorItem = game.items.find(
-    (i) => i.getFlag(MODULE_ID, "mirrorOf") === actorItemUuid
-  );
+  const holder = item.parent;
+  const codex = fromUuidSync(item.getFlag(MODULE_ID, "originUuid") ?? "");
+  await _removeFabricatedItem(item, { action: "expire", user, details: staleReason });
+  const message = `The GM cleaned up <strong>${item.name}</strong> held by <strong>${holder?.name ?? "Unknown Actor"}</strong>. ${staleReason}.`;
+  if (holder instanceof Actor) await _whisperOwners(holder, message);
+  if (codex?.parent instanceof Actor && codex.parent !== holder) await _whisperOwners(codex.parent, message);
+  return true;
+}
 
-  if (mirrorItem) {
-    if ((mirrorItem.folder?.id ?? mirrorItem.folder) !== folder.id) {
-      await mirrorItem.update({ folder: folder.id });
-    }
-    await mirrorItem.update({ name: itemData.name, img: itemData.img });
-  } else {
-    const mirrorData = foundry.utils.duplicate(itemData);
-    delete mirrorData._id;
-    mirrorData.folder = folder.id;
-    foundry.utils.setProperty(mirrorData, "system.container", null);
-    foundry.utils.setProperty(mirrorData, "system.containerId", null);
-    foundry.utils.setProperty(mirrorData, `flags.${MODULE_ID}.mirrorOf`, actorItemUuid);
-    foundry.utils.setProperty(mirrorData, `flags.${MODULE_ID}.spellLevel`, level);
-    await Item.create(mirrorData);
+/**
+ * GM handler: Note that a fabricated item was used, which ends an "unused" refund.
+ * The calling user must own the holder.
+ * @param {string} itemUuid
+ * @returns {boolean}
+ */
+async function _gmRecordUse(itemUuid) {
+  const user = _getCallingUser(this);
+  const item = await fromUuid(itemUuid);
+  if (!(item instanceof Item) || !item.getFlag(MODULE_ID, "isTemporary")) return false;
+  if (!_userOwns(user, item.parent)) {
+    await _rejectRequest(user, "report a use", `they do not own <strong>${item.parent?.name ?? "the holder"}</strong>.`);
+    return false;
   }
+  await _markFabricationUsed(item);
+  return true;
 }
 
 /**
- * GM handler: Send a whisper to all GMs.
- * @param {string} message - HTML message content
+ * GM handler: Decide whether a fabricated item malfunctions after a use, and apply the outcome.
+ * Failure chances and the holder's checks are both rolled here, never taken from the client.
+ * @param {string} itemUuid
+ * @returns {{malfunctioned: boolean, outcome?: string}}
  */
-async function _gmNotify(message) {
-  await ChatMessage.create({
-    content: `<strong>${MODULE_ID}</strong> | ${message}`,
-    whisper: ChatMessage.getWhisperRecipients("GM"),
-    speaker: { alias: "Innovations Codex" }
-  });
-}
+async function _gmResolveMalfunction(itemUuid) {
+  const user = _getCallingUser(this);
+  const item = await fromUuid(itemUuid);
+  if (!(item instanceof Item) || !item.getFlag(MODULE_ID, "isTemporary")) return { malfunctioned: false };
+  const holder = item.parent;
+  if (!_userOwns(user, holder)) {
+    await _rejectRequest(user, "report a use", `they do not own <strong>${holder?.name ?? "the holder"}</strong>.`);
+    return { malfunctioned: false };
+  }
+  const malfunction = getMalfunction(item);
+  if (!malfunction) return { malfunctioned: false };
 
-/* ================================================== */
-/*  SECTION 2: Socketlib wrappers (call from anyone)  */
-/* ================================================== */
+  let failed;
+  let rollNote;
+  if (malfunction.mode === "chance") {
+    const roll = await new Roll("1d100").evaluate();
+    failed = roll.total <= malfunction.chance;
+    rollNote = `rolled ${roll.total} against a ${malfunction.chance}% failure chance`;
+  } else {
+    const total = await _rollCheck(holder, malfunction.ability);
+    failed = !Number.isFinite(total) || total < malfunction.dc;
+    rollNote = Number.isFinite(total) ? `rolled ${total} against DC ${malfunction.dc}` : `made no check against DC ${malfunction.dc}`;
+  }
+  if (!failed) return { malfunctioned: false };
 
-function _ensureSocket() {
-  if (!icSocket) {
-    // Last-ditch attempt to register if socketlib is available
-    try {
-      if (typeof socketlib !== "undefined") _registerSocketlib();
-    } catch (e) {
-      // Swallow — registration may fail if socket channel not allocated
+  const codex = fromUuidSync(item.getFlag(MODULE_ID, "originUuid") ?? "");
+  const itemName = item.name;
+  let result;
+  switch (malfunction.outcome) {
+    case "destroy":
+      await _removeFabricatedItem(item, { action: "malfunction", user, details: `Destroyed; ${rollNote}` });
+      result = "was destroyed";
+      break;
+    case "table": {
+      const table = await fromUuid(malfunction.tableUuid ?? "");
+      if (table instanceof RollTable) await table.draw();
+      result = table instanceof RollTable ? `rolled on <strong>${table.name}</strong>` : "malfunctioned, but its table is missing";
+      break;
     }
-    if (!icSocket) {
-      ui.notifications?.error("Innovations Codex: socketlib is not connected. Please return to the Foundry setup screen and relaunch your world.");
-      throw new Error(`${MODULE_ID} | socketlib not initialized. Restart the world from the Foundry setup screen.`);
+    default: {
+      const uses = item.system?.uses;
+      if (uses?.max > 0) await item.update({ "system.uses.spent": Math.min((uses.spent ?? 0) + 1, uses.max) });
+      result = uses?.max > 0 ? "lost a charge" : "sputtered, but has no charges to lose";
     }
   }
-}
+  if (malfunction.outcome !== "destroy" && codex) {
+    await _appendLedger(codex, {
+      action: "malfunction",
+      blueprintName: itemName,
+      blueprintUuid: item.getFlag(MODULE_ID, "blueprintUuid") ?? null,
+      itemUuid: item.uuid,
+      targetName: holder.name,
+      targetUuid: holder.uuid,
+      details: `${MALFUNCTION_OUTCOMES[malfunction.outcome]}; ${rollNote}`
+    }, user);
+  }
 
-async function addCodexToActor(actorUuid) {
-  _ensureSocket();
-  return icSocket.executeAsGM("addCodexToActor", actorUuid);
+  const message = `<strong>${itemName}</strong> held by <strong>${holder.name}</strong> malfunctioned (${rollNote}) and ${result}.`;
+  await _whisperOwners(holder, message);
+  if (codex?.parent instanceof Actor && codex.parent !== holder) await _whisperOwners(codex.parent, message);
+  return { malfunctioned: true, outcome: malfunction.outcome };
 }
 
-async function createInnovationOnActor(actorUuid, codexId, itemName, itemType) {
-  _ensureSocket();
-  return icSocket.executeAsGM("createInnovation", actorUuid, codexId, itemName, itemType);
-}
+/**
+ * GM handler: Move a fabricated item to another holder, keeping its flags.
+ * The calling user must own the codex the item was fabricated from.
+ * @param {string} itemUuid
+ * @param {string} codexUuid
+ * @param {string} targetActorUuid
+ * @returns {string|null} UUID of the moved item
+ */
+async function _gmTransfer(itemUuid, codexUuid, targetActorUuid) {
+  const user = _getCallingUser(this);
+  const item = await fromUuid(itemUuid);
+  const targetActor = await fromUuid(targetActorUuid);
+  if (!(item instanceof Item) || !(targetActor instanceof Actor)) return null;
+  if (item.getFlag(MODULE_ID, "originUuid") !== codexUuid) return null;
+  if (item.parent?.uuid === targetActor.uuid) return item.uuid;
 
-async function fabricate(ownerActorUuid, targetActorUuid, blueprintUuid, codexUuid, slotLevel) {
-  _ensureSocket();
-  return icSocket.executeAsGM("fabricate", ownerActorUuid, targetActorUuid, blueprintUuid, codexUuid, slotLevel);
-}
+  const codex = await fromUuid(codexUuid);
+  if (!_userCanUseCodex(user, codex)) {
+    await _rejectRequest(user, "transfer", `they do not own the codex that made <strong>${item.name}</strong>.`);
+    return null;
+  }
 
-async function requestRecall(itemUuid, codexUuid) {
-  _ensureSocket();
-  return icSocket.executeAsGM("recall", itemUuid, codexUuid);
-}
+  if (item.system?.attuned && isAttunementFull(targetActor)) {
+    await _rejectRequest(user, "transfer", `<strong>${targetActor.name}</strong> cannot attune to <strong>${item.name}</strong>.`);
+    return null;
+  }
 
-async function setItemFlag(itemUuid, flagKey, flagValue) {
-  _ensureSocket();
-  return icSocket.executeAsGM("setFlag", itemUuid, flagKey, flagValue);
-}
+  // Only an item an actor holds can be moved; anything else would be copied, not transferred
+  const previousHolder = item.parent;
+  if (!(previousHolder instanceof Actor)) {
+    await _rejectRequest(user, "transfer", `<strong>${item.name}</strong> is not held by an actor.`);
+    return null;
+  }
 
-async function mirrorToWorldFolder(actorItem, level) {
-  _ensureSocket();
-  return icSocket.executeAsGM("mirror", actorItem.toObject(), actorItem.uuid, level);
-}
+  // The holder's effects from the item follow it to the new holder
+  const effectsData = getRecipientEffects(previousHolder, item).map((effect) => {
+    const { _id, _stats, ...data } = effect.toObject();
+    return data;
+  });
+  const itemData = item.toObject();
+  delete itemData._id;
+  const [moved] = await targetActor.createEmbeddedDocuments("Item", [itemData]);
+  if (!moved) return null;
+  try {
+    await previousHolder.deleteEmbeddedDocuments("Item", [item.id]);
+  } catch (err) {
+    console.error(`${MODULE_ID} | Could not take ${item.name} from ${previousHolder.name}, undoing the transfer:`, err);
+    await targetActor.deleteEmbeddedDocuments("Item", [moved.id]);
+    return null;
+  }
+  await _applyRecipientEffects(moved, effectsData);
 
-async function requestGMNotification(message) {
-  _ensureSocket();
-  return icSocket.executeAsGM("notify", message);
+  await _appendLedger(codex, {
+    action: "transfer",
+    blueprintName: moved.name,
+    blueprintUuid: moved.getFlag(MODULE_ID, "blueprintUuid") ?? null,
+    itemUuid: moved.uuid,
+    targetName: targetActor.name,
+    targetUuid: targetActor.uuid,
+    slotLevel: moved.getFlag(MODULE_ID, "spentSlotLevel") ?? null,
+    details: `Moved from ${previousHolder?.name ?? "Unknown Actor"}`
+  }, user);
+  return moved.uuid;
 }
 
-/* ================================================== */
-/*  SECTION 3: Folder & Item Setup (GM only)          */
-/* ================================================== */
+/**
+ * GM handler: Offer a copy of a blueprint to another codex.
+ * The recipient's owner is asked to accept over the socket. On acceptance the recipient
+ * pays the asked slot and gold (the gold goes to the sharing actor), and the copy may start
+ * with a research project of the asked study hours before it can be fabricated.
+ * @param {string} blueprintUuid
+ * @param {string} codexUuid - The codex sharing the blueprint
+ * @param {string} recipientCodexUuid
+ * @param {object} [terms]
+ * @param {number} [terms.slot] - Spell slot level the recipient spends; 0 for none
+ * @param {number} [terms.gold] - Gold pieces the recipient pays
+ * @param {number} [terms.studyHours] - Research hours before the copy can be fabricated
+ * @returns {{ok: boolean, message?: string, itemUuid?: string}}
+ */
+async function _gmShareBlueprint(blueprintUuid, codexUuid, recipientCodexUuid, terms = {}) {
+  const user = _getCallingUser(this);
+  const blueprint = await fromUuid(blueprintUuid);
+  const codex = await fromUuid(codexUuid);
+  const recipientCodex = await fromUuid(recipientCodexUuid);
+  if (!(blueprint instanceof Item) || !isCodexItem(codex) || !isItemInCodex(blueprint, codex)) {
+    return { ok: false, message: "That blueprint does not belong to this codex." };
+  }
+  if (!isCodexItem(recipientCodex) || recipientCodex.uuid === codex.uuid || !(recipientCodex.parent instanceof Actor)) {
+    return { ok: false, message: "Choose another codex to share with." };
+  }
+  if (!_userCanUseCodex(user, codex)) {
+    await _rejectRequest(user, "share", `they do not own <strong>${codex.name}</strong>.`);
+    return { ok: false, message: FABRICATION_ERRORS.PERMISSION_DENIED };
+  }
 
-async function ensureFolderHierarchy() {
-  const parentId = (f) => f.folder?.id ?? f.folder ?? null;
-  const isFolderEmpty = (f) => {
-    return !game.items.some((it) => (it.folder?.id ?? it.folder) === f.id)
-      && !game.folders.some((child) => parentId(child) === f.id);
-  };
+  const slot = Math.clamp(Number.parseInt(terms.slot, 10) || 0, 0, 9);
+  const gold = Math.max(Number.parseInt(terms.gold, 10) || 0, 0);
+  const studyHours = Math.max(Number(terms.studyHours) || 0, 0);
+  const costs = [];
+  if (slot) costs.push({ type: "slot", level: slot });
+  if (gold) costs.push({ type: "currency", denomination: "gp", amount: gold });
 
-  // Root folder
-  const rootCandidates = game.folders.filter(
-    (f) => f.name === CODEX_NAME && f.type === "Item" && !parentId(f)
-  );
+  // Ask someone who can use the recipient codex, preferring players over GMs
+  const candidates = game.users.filter((u) => u.active && _userCanUseCodex(u, recipientCodex));
+  const recipientUser = candidates.find((u) => !u.isGM) ?? candidates[0];
+  if (!recipientUser) {
+    return { ok: false, message: `No one who can use ${recipientCodex.name} is online.` };
+  }
 
-  let rootFolder;
-  if (rootCandidates.length >= 1) {
-    rootFolder = rootCandidates[0];
-    for (let i = 1; i < rootCandidates.length; i++) {
-      const dupe = rootCandidates[i];
-      if (isFolderEmpty(dupe)) {
-        console.log(`${MODULE_ID} | Deleting duplicate empty root folder: ${dupe.id}`);
-        await dupe.delete();
-      }
-    }
-  } else {
-    rootFolder = await Folder.create({ name: CODEX_NAME, type: "Item", folder: null });
-    console.log(`${MODULE_ID} | Created root folder: ${rootFolder.name} (${rootFolder.id})`);
+  // An offer that is ignored, or whose recipient disconnects, counts as declined
+  const offer = icSocket.executeAsUser("shareOffer", recipientUser.id, {
+    blueprintName: blueprint.name,
+    blueprintImg: blueprint.img,
+    senderName: codex.parent?.name ?? user?.name,
+    recipientCodexUuid: recipientCodex.uuid,
+    costs: costs.map(describeCost),
+    studyHours
+  }).catch(() => ({ accepted: false }));
+  const expired = new Promise((resolve) => setTimeout(() => resolve({ accepted: false, expired: true }), SHARE_OFFER_TIMEOUT));
+  const reply = await Promise.race([offer, expired]);
+  if (!reply?.accepted) {
+    const reason = reply?.expired ? "did not answer the offer of" : "declined";
+    return { ok: false, message: `${recipientUser.name} ${reason} ${blueprint.name}.` };
   }
 
-  // Subfolders
-  for (const name of SPELL_LEVEL_FOLDERS) {
-    const matches = game.folders.filter(
-      (f) => f.name === name && f.type === "Item" && parentId(f) === rootFolder.id
-    );
-    if (matches.length > 1) {
-      for (let i = 1; i < matches.length; i++) {
-        if (isFolderEmpty(matches[i])) {
-          console.log(`${MODULE_ID} | Deleting duplicate empty subfolder "${name}": ${matches[i].id}`);
-          await matches[i].delete();
-        }
-      }
-    }
-    if (matches.length === 0) {
-      const sub = await Folder.create({ name, type: "Item", folder: rootFolder.id });
-      console.log(`${MODULE_ID} | Created subfolder: ${sub.name} inside ${rootFolder.name}`);
+  const payers = getCodexCasters(recipientCodex, recipientUser);
+  const payer = payers.find((a) => a.uuid === reply.payerUuid) ?? payers[0];
+  if (!payer) return { ok: false, message: `${recipientUser.name} has no character to pay with.` };
+  const problems = checkFabricationCosts(payer, costs);
+  if (problems.length) {
+    await _whisperOwners(payer, `Could not copy <strong>${blueprint.name}</strong>: ${problems.join(" ")}`);
+    return { ok: false, message: `${payer.name} cannot pay: ${problems.join(" ")}` };
+  }
+
+  const payment = planFabricationPayment(payer, costs);
+  let created;
+  try {
+    await payFabricationCosts(payer, payment);
+    created = await _createSharedCopy(blueprint, codex, recipientCodex, payer, {
+      research: buildResearchProject({ level: null, requiredHours: studyHours, goldCost: 0 }),
+      user: recipientUser
+    });
+    if (!created) throw new Error("Item creation returned nothing");
+  } catch (err) {
+    console.error(`${MODULE_ID} | Sharing ${blueprint.name} failed, rolling back:`, err);
+    try {
+      await restoreFabricationCosts(payer, payment.receipt);
+    } catch (restoreErr) {
+      console.error(`${MODULE_ID} | Could not restore sharing costs for ${payer.name}:`, restoreErr);
+      await _gmNotify(`Copying <strong>${blueprint.name}</strong> failed and <strong>${payer.name}</strong>'s costs could not be restored automatically. Please check their resources.`);
+      return { ok: false, message: `${blueprint.name} could not be copied, and the cost could not be restored. The GM has been told.` };
     }
+    return { ok: false, message: `${blueprint.name} could not be copied. Nothing was spent.` };
   }
 
-  // Clean strays at root
-  for (const name of SPELL_LEVEL_FOLDERS) {
-    const strays = game.folders.filter(
-      (f) => f.name === name && f.type === "Item" && !parentId(f)
-    );
-    for (const stray of strays) {
-      if (isFolderEmpty(stray)) {
-        console.log(`${MODULE_ID} | Deleting stray root-level folder "${name}": ${stray.id}`);
-        await stray.delete();
-      }
-    }
+  // Gold changes hands
+  const seller = codex.parent;
+  if (gold && seller instanceof Actor) {
+    await seller.update({ "system.currency.gp": (seller.system?.currency?.gp ?? 0) + gold });
   }
 
-  return rootFolder;
+  await _appendLedger(codex, {
+    action: "share",
+    blueprintName: blueprint.name,
+    blueprintUuid: blueprint.uuid,
+    targetName: payer.name,
+    targetUuid: payer.uuid,
+    details: [`Copied to ${recipientCodex.name}`, ...costs.map(describeCost), studyHours ? `${studyHours}h study` : ""]
+      .filter(Boolean).join("; ")
+  }, user);
+  await _appendLedger(recipientCodex, {
+    action: "create",
+    blueprintName: created.name,
+    blueprintUuid: created.uuid,
+    details: `Copied from ${codex.name} (${codex.parent?.name ?? "Unknown Actor"})`
+  }, recipientUser);
+  return { ok: true, itemUuid: created.uuid };
 }
 
-async function ensureWorldItems(rootFolder) {
-  const existingFeat = game.items.find((i) => i.getFlag(MODULE_ID, "isCreateFeature"));
-  const existingCodex = game.items.find((i) => i.getFlag?.(MODULE_ID, "isCodex"));
+/**
+ * Create a copy of a blueprint inside another codex, with provenance flags.
+ * The copy keeps its design settings but starts uncategorized. Like a newly created blueprint it
+ * waits for GM review unless a GM receives it: approval covers one codex, and the copy's history
+ * and settings can diverge from the original the moment it exists.
+ * @param {Item} blueprint
+ * @param {Item} codex - The codex it was copied from
+ * @param {Item} recipientCodex
+ * @param {Actor} contributor - The actor receiving the copy
+ * @param {object} [options]
+ * @param {object|null} [options.research] - Study project to finish before fabricating
+ * @param {User|null} [options.user]
+ * @returns {Item|undefined}
+ */
+async function _createSharedCopy(blueprint, codex, recipientCodex, contributor, { research = null, user = null } = {}) {
+  const source = blueprint.flags[MODULE_ID] ?? {};
+  const flags = {
+    isInnovation: true,
+    spellLevel: null,
+    createdBy: contributor.uuid,
+    contributorName: contributor.name,
+    reviewStatus: user?.isGM ? REVIEW_STATUS.APPROVED : REVIEW_STATUS.PENDING,
+    originalCreator: source.originalCreator ?? {
+      uuid: source.createdBy ?? null,
+      name: source.contributorName ?? fromUuidSync(source.createdBy ?? "")?.name ?? codex.parent?.name ?? ""
+    },
+    sourceCodex: { uuid: codex.uuid, name: codex.name, actorName: codex.parent?.name ?? "" },
+    sourceBlueprintUuid: blueprint.uuid,
+    sharedAt: Date.now(),
+    research
+  };
+  for (const [key, value] of Object.entries(source)) {
+    if (!SHARE_BOOKKEEPING_FLAGS.includes(key)) flags[key] = foundry.utils.deepClone(value);
+  }
 
-  if (existingFeat && existingCodex) return;
+  const itemData = blueprint.toObject();
+  delete itemData._id;
+  itemData.flags[MODULE_ID] = flags;
+  foundry.utils.setProperty(itemData, "system.container", recipientCodex.id);
 
-  const create = await Dialog.confirm({
-    title: "Innovations Codex Setup",
-    content: `<p>The Innovations Codex module needs to create its world items. Create them now?</p>`
-  });
-  if (!create) return;
+  const [created] = await recipientCodex.parent.createEmbeddedDocuments("Item", [itemData]);
+  if (!created) return created;
+  await _commitBlueprintVersion(created, user);
+  await _syncMirror(created, null);
+  return created;
+}
 
-  if (!existingFeat) {
-    const activityId = foundry.utils.randomID();
-    await Item.create({
-      name: FEAT_NAME,
-      type: "feat",
-      img: "icons/skills/trades/smithing-anvil-silver-red.webp",
-      folder: rootFolder.id,
-      system: {
-        description: {
-          value: `<p>You channel your ingenuity to produce arcane innovations. Use this feature to open your <strong>Innovations Codex</strong> — a personal workshop where you design, categorize, and fabricate magical items.</p>
-<p>When you use this feature, your codex is automatically added to your inventory if you don't already have one. From the codex window you can:</p>
-<ul>
-<li><strong>Create</strong> new innovation blueprints for your DM to review.</li>
-<li><strong>Assign spell levels</strong> to approved innovations.</li>
-<li><strong>Fabricate</strong> innovations onto yourself or allies by expending a spell slot of the appropriate level.</li>
-<li><strong>Recall</strong> fabricated innovations, removing them from their holder.</li>
-</ul>
-<p>Newly created innovations start as <em>Uncategorized</em> and cannot be fabricated until a spell level is assigned.</p>`
-        },
-        activities: {
-          [activityId]: {
-            _id: activityId,
-            type: "utility",
-            name: "Open Codex",
-            activation: { type: "action", value: 1, override: true },
-            consumption: { scaling: { allowed: false }, targets: [] },
-            duration: { override: false, units: "" },
-            range: { override: false },
-            target: { override: false, prompt: false },
-            uses: { spent: 0, max: "", recovery: [] }
-          }
-        }
-      },
-      flags: { [MODULE_ID]: { isCreateFeature: true } }
-    });
+/**
+ * GM handler: Log downtime spent on a blueprint's research project.
+ * Players may log up to the configured number of days at once, and not at all while research
+ * advances with world time. The research check is rolled here, for an actor the caller owns,
+ * and a result at or above the configured DC adds bonus hours on top of the time logged.
+ * @param {string} blueprintUuid
+ * @param {number} hours - Downtime hours spent
+ * @param {string|null} [checkActorUuid] - Who makes the research check, if anyone
+ * @returns {{ok: boolean, message?: string, bonus?: number, complete?: boolean}}
+ */
+async function _gmLogResearch(blueprintUuid, hours, checkActorUuid = null) {
+  const user = _getCallingUser(this);
+  const blueprint = await fromUuid(blueprintUuid);
+  const codex = getBlueprintCodex(blueprint);
+  if (!(blueprint instanceof Item) || !codex) return { ok: false, message: "That blueprint could not be found." };
+  if (!_userCanUseCodex(user, codex)) {
+    await _rejectRequest(user, "log research", `they do not own <strong>${codex.name}</strong>.`);
+    return { ok: false, message: FABRICATION_ERRORS.PERMISSION_DENIED };
+  }
+  if (isResearchComplete(blueprint)) return { ok: false, message: `${blueprint.name} has no research left to do.` };
+  if (game.settings.get(MODULE_ID, "researchWorldTime")) {
+    return { ok: false, message: "Research advances with world time, so downtime cannot be logged." };
   }
 
-  if (!existingCodex) {
-    await Item.create({
-      name: CODEX_NAME,
-      type: "container",
-      img: "icons/sundries/books/book-symbol-yellow-grey.webp",
-      folder: rootFolder.id,
-      flags: { [MODULE_ID]: { isCodex: true } }
-    });
+  const spent = Math.max(Number(hours) || 0, 0);
+  if (!spent) return { ok: false, message: "Log at least some downtime." };
+  const maxHours = getResearchSetting("researchMaxLogDays") * getResearchSetting("researchHoursPerDay");
+  if (!user?.isGM && maxHours && spent > maxHours) {
+    return { ok: false, message: `Log at most ${formatResearchHours(maxHours)} of downtime at a time.` };
   }
-}
 
-/* ================================================== */
-/*  SECTION 4: Helpers                                */
-/* ================================================== */
+  let checker = null;
+  if (checkActorUuid) {
+    checker = await fromUuid(checkActorUuid);
+    if (!(checker instanceof Actor) || !_userOwns(user, checker)) {
+      await _rejectRequest(user, "log research", "they do not own the actor making the check.");
+      return { ok: false, message: "You can only roll research checks for your own characters." };
+    }
+  }
+  const total = checker
+    ? await _rollCheck(checker, game.settings.get(MODULE_ID, "researchAbility") || "int", game.settings.get(MODULE_ID, "researchTool"))
+    : null;
+  const hasCheck = Number.isFinite(total);
+  const bonus = hasCheck && total >= getResearchSetting("researchCheckDC")
+    ? getResearchSetting("researchCheckHours")
+    : 0;
 
-function getSpellLevelFolder(level) {
-  const rootFolder = game.folders.find(
-    (f) => f.name === CODEX_NAME && f.type === "Item" && !(f.folder?.id ?? f.folder)
-  );
-  if (!rootFolder) return null;
-  const folderName = (level >= 1 && level <= 9)
-    ? SPELL_LEVEL_FOLDERS[level]
-    : "Uncategorized";
-  return game.folders.find(
-    (f) => f.name === folderName && f.type === "Item" && (f.folder?.id ?? f.folder) === rootFolder.id
-  ) ?? null;
+  const complete = await _advanceResearch(blueprint, spent + bonus, user);
+  await _appendLedger(codex, {
+    action: "research",
+    blueprintName: blueprint.name,
+    blueprintUuid: blueprint.uuid,
+    details: [
+      `Logged ${spent}h`,
+      hasCheck ? `${checker.name} rolled ${total}${bonus ? ` (+${bonus}h)` : ""}` : "",
+      complete ? "Research complete" : ""
+    ].filter(Boolean).join("; ")
+  }, user);
+  return { ok: true, bonus, complete };
 }
 
-function isCodexItem(item) {
-  if (!item) return false;
-  if (item.getFlag?.(MODULE_ID, "isCodex")) return true;
-  return item.type === "container" && item.name === CODEX_NAME;
+/**
+ * Add hours to a blueprint's research project. Finishing the project tells the codex's owners.
+ * @param {Item} blueprint
+ * @param {number} hours
+ * @param {User|null} [user]
+ * @returns {boolean} Whether this finished the project
+ */
+async function _advanceResearch(blueprint, hours, user = null) {
+  const research = getResearch(blueprint);
+  if (!research || !(hours > 0) || isResearchComplete(blueprint)) return false;
+  const progress = Math.min(research.progress + hours, research.requiredHours);
+  const complete = progress >= research.requiredHours;
+  await blueprint.update({
+    [`flags.${MODULE_ID}.research`]: { ...research, progress, completedAt: complete ? game.time.worldTime : null }
+  }, SYNC_OPTIONS);
+  if (complete) {
+    const levelNote = research.level ? ` It can now be assigned up to level ${research.level}.` : "";
+    await _whisperOwners(blueprint.parent, `Research on <strong>${blueprint.name}</strong> is complete.${levelNote}`);
+  }
+  return complete;
 }
 
-function isCreateFeature(item) {
-  if (!item) return false;
-  return Boolean(item.getFlag?.(MODULE_ID, "isCreateFeature"));
+/**
+ * Roll an ability check for an actor, as a tool check if the actor has the tool.
+ * Rolled on the GM's client without a configuration dialog, so no client-reported total is trusted.
+ * @param {Actor} actor
+ * @param {string} ability - e.g. "int"
+ * @param {string} [tool] - dnd5e tool key, e.g. "tinker"
+ * @returns {number|null} The check total
+ */
+async function _rollCheck(actor, ability, tool = "") {
+  // dnd5e 4.1 moved rolls to config objects and returns arrays of rolls
+  const modern = !foundry.utils.isNewerVersion("4.1.0", game.system.version);
+  let result;
+  if (tool && actor.system?.tools?.[tool]) {
+    result = modern
+      ? await actor.rollToolCheck({ tool, ability }, { configure: false })
+      : await actor.rollToolCheck(tool, { ability, fastForward: true });
+  } else {
+    result = modern
+      ? await actor.rollAbilityCheck({ ability }, { configure: false })
+      : await actor.rollAbilityTest(ability, { fastForward: true });
+  }
+  const roll = Array.isArray(result) ? result[0] : result;
+  return roll?.total ?? null;
 }
 
-function getSlotLevel(codex, blueprint) {
-  if (!codex || !blueprint) return null;
-  const uuidMap = codex.getFlag(MODULE_ID, "slotLevelsByUuid") ?? {};
-  const nameMap = codex.getFlag(MODULE_ID, "slotLevelsByName") ?? {};
-  const fromUuidVal = Number.parseInt(uuidMap[blueprint.uuid ?? blueprint.id], 10);
-  if (Number.isFinite(fromUuidVal) && fromUuidVal >= 1 && fromUuidVal <= 9) return fromUuidVal;
-  const fromName = Number.parseInt(nameMap[blueprint.name], 10);
-  if (Number.isFinite(fromName) && fromName >= 1 && fromName <= 9) return fromName;
-  const itemLevel = blueprint.getFlag?.(MODULE_ID, "spellLevel");
-  if (itemLevel !== null && itemLevel !== undefined) {
-    const parsed = Number.parseInt(itemLevel, 10);
-    if (Number.isFinite(parsed) && parsed >= 1 && parsed <= 9) return parsed;
+/**
+ * Advance every unfinished research project by the world time that passed.
+ * @param {number} seconds
+ */
+async function _advanceResearchByTime(seconds) {
+  const hours = seconds / 3600;
+  for (const blueprint of getAllBlueprints()) {
+    if (isResearchComplete(blueprint)) continue;
+    const complete = await _advanceResearch(blueprint, hours);
+    const codex = complete ? getBlueprintCodex(blueprint) : null;
+    if (codex) {
+      await _appendLedger(codex, {
+        action: "research",
+        blueprintName: blueprint.name,
+        blueprintUuid: blueprint.uuid,
+        details: "Research complete"
+      });
+    }
   }
-  return null;
 }
 
 /**
- * Set the spell level for a blueprint. Updates codex flags, item flag,
- * mirrors to world folder, and notifies GM. All GM operations are routed
- * through socketlib.
+ * Put effects on a fabricated item's holder, replacing any the item already put there.
+ * @param {Item} item - The fabricated copy, already on its holder
+ * @param {object[]} effectsData - ActiveEffect creation data
  */
-async function setSlotLevelForBlueprint(codex, blueprint, level) {
-  if (!codex || !blueprint) return;
+async function _applyRecipientEffects(item, effectsData) {
+  const actor = item.parent;
+  if (!(actor instanceof Actor)) return;
+  await _removeRecipientEffects(item);
+  if (!effectsData.length) return;
+  await actor.createEmbeddedDocuments("ActiveEffect", effectsData.map((data) => ({
+    ...data,
+    origin: item.uuid,
+    transfer: false,
+    disabled: false,
+    flags: { ...data.flags, [MODULE_ID]: { ...data.flags?.[MODULE_ID], fabricatedItemUuid: item.uuid } }
+  })));
+}
 
-  const normalizedLevel = (level === null || level === "" || level === "0" || level === 0)
-    ? null
-    : Number.parseInt(level, 10);
-  if (normalizedLevel !== null && (!Number.isFinite(normalizedLevel) || normalizedLevel < 1 || normalizedLevel > 9)) return;
+/**
+ * Remove the effects a fabricated item put on its holder.
+ * @param {Item} item
+ */
+async function _removeRecipientEffects(item) {
+  const actor = item.parent;
+  const effects = getRecipientEffects(actor, item);
+  if (effects.length) await actor.deleteEmbeddedDocuments("ActiveEffect", effects.map((e) => e.id));
+}
 
-  const blueprintUuid = blueprint.uuid ?? blueprint.id;
-  const blueprintName = blueprint.name;
+/**
+ * Post a public chat card announcing a fabrication or recall.
+ * @param {"fabricate"|"recall"} action
+ * @param {object} data
+ * @param {Item|object} data.item - The fabricated item, or its data if it was already deleted
+ * @param {Item} data.codex - The codex it came from
+ * @param {Actor} data.creator - The codex owner
+ * @param {Actor} data.recipient - The holder
+ * @param {string} [data.slotLabel] - Description of the slot spent
+ */
+async function _postInnovationCard(action, { item, codex, creator, recipient, slotLabel }) {
+  const isFabricate = action === "fabricate";
+  const activities = isFabricate
+    ? Array.from(item.system?.activities?.values?.() ?? []).map((a) => ({ id: a.id, name: a.name, img: a.img }))
+    : [];
+  const spentLevel = item.flags?.[MODULE_ID]?.spentSlotLevel;
 
-  // Update codex flag maps via GM
-  const uuidMap = foundry.utils.duplicate(codex.getFlag(MODULE_ID, "slotLevelsByUuid") ?? {});
-  const nameMap = foundry.utils.duplicate(codex.getFlag(MODULE_ID, "slotLevelsByName") ?? {});
+  const content = await renderTemplate(`modules/${MODULE_ID}/templates/chat-card.hbs`, {
+    isFabricate,
+    title: isFabricate ? "Innovation Fabricated" : "Innovation Recalled",
+    itemName: item.name,
+    itemImg: item.img,
+    itemUuid: isFabricate ? item.uuid : null,
+    codexUuid: codex?.uuid,
+    creatorName: creator?.name ?? "Unknown Actor",
+    recipientName: recipient?.name ?? "Unknown Actor",
+    slotLabel: slotLabel ?? (spentLevel ? `Level ${spentLevel} spell slot` : "None"),
+    expiry: isFabricate ? describeExpiry(item) : null,
+    activities,
+    hasActivities: activities.length > 0
+  });
 
-  if (normalizedLevel === null) {
-    delete uuidMap[blueprintUuid];
-    if (blueprintName) delete nameMap[blueprintName];
+  await ChatMessage.create({
+    content,
+    speaker: ChatMessage.getSpeaker({ actor: creator }),
+    flags: {
+      [MODULE_ID]: {
+        card: { action, itemUuid: isFabricate ? item.uuid : null, codexUuid: codex?.uuid ?? null }
+      }
+    }
+  });
+}
+
+/**
+ * Delete a fabricated item from its holder and record it in the codex ledger.
+ * Every removal path (recall, dismantle, malfunction, expiry) funnels through here. Recalls and
+ * dismantles refund the spent slot when the blueprint's refund policy allows it.
+ * @param {Item} item
+ * @param {object} [options]
+ * @param {string} [options.action] - Ledger action, "recall", "dismantle", "malfunction" or "expire"
+ * @param {User|null} [options.user] - The user responsible, if any
+ * @param {string} [options.details] - Extra ledger text
+ * @returns {object|null} The refunded cost, if any
+ */
+async function _removeFabricatedItem(item, { action = "recall", user = null, details = "" } = {}) {
+  const codex = fromUuidSync(item.getFlag(MODULE_ID, "originUuid") ?? "");
+  const refund = ["recall", "dismantle"].includes(action) ? getRefund(item) : null;
+  if (refund) {
+    await _refundSlot(refund);
+    details = [details, `Refunded ${describeCost(refund)}`].filter(Boolean).join("; ");
+  }
+  await _updateFabricationRecord(item, null);
+  if (codex) {
+    await _appendLedger(codex, {
+      action,
+      blueprintName: item.name,
+      blueprintUuid: item.getFlag(MODULE_ID, "blueprintUuid") ?? null,
+      itemUuid: item.uuid,
+      targetName: item.parent?.name ?? "",
+      targetUuid: item.parent?.uuid ?? null,
+      slotLevel: item.getFlag(MODULE_ID, "spentSlotLevel") ?? null,
+      details
+    }, user);
+  }
+
+  if (item.parent instanceof Actor) {
+    await item.parent.deleteEmbeddedDocuments("Item", [item.id]);
   } else {
-    uuidMap[blueprintUuid] = normalizedLevel;
-    if (blueprintName) nameMap[blueprintName] = normalizedLevel;
+    await item.delete();
   }
+  return refund;
+}
 
-  await setItemFlag(codex.uuid, "slotLevelsByUuid", uuidMap);
-  await setItemFlag(codex.uuid, "slotLevelsByName", nameMap);
+/**
+ * Give a spent slot back to whoever fabricated an item, up to their maximum.
+ * @param {{type: string, level: number, casterUuid: string}} refund - From getRefund
+ */
+async function _refundSlot(refund) {
+  const caster = fromUuidSync(refund.casterUuid ?? "");
+  if (!(caster instanceof Actor)) return;
+  const path = refund.type === "pact" ? "system.spells.pact" : `system.spells.spell${refund.level}`;
+  const slot = foundry.utils.getProperty(caster, path);
+  if (!slot || !Number.isFinite(slot.value)) return;
+  await caster.update({ [`${path}.value`]: Math.min(slot.value + 1, slot.max ?? slot.value + 1) });
+}
 
-  // Update the item's own flag via GM
-  await setItemFlag(blueprintUuid, "spellLevel", normalizedLevel);
+/**
+ * Change the codex's record of a fabricated item, or drop it.
+ * @param {Item} item
+ * @param {object|null} changes - Merged into the record; null deletes it
+ */
+async function _updateFabricationRecord(item, changes) {
+  const id = item.getFlag(MODULE_ID, "fabricationId");
+  const codex = fromUuidSync(item.getFlag(MODULE_ID, "originUuid") ?? "");
+  if (!id || !isCodexItem(codex) || !codex.getFlag(MODULE_ID, "fabrications")?.[id]) return;
+  if (changes === null) await codex.update({ [`flags.${MODULE_ID}.fabrications.-=${id}`]: null });
+  else await codex.update({ [`flags.${MODULE_ID}.fabrications.${id}`]: changes });
+}
 
-  // Mirror to world folder
-  await mirrorToWorldFolder(blueprint, normalizedLevel);
+async function _markFabricationUsed(item) {
+  const record = getFabricationRecord(item);
+  if (record && !record.used) await _updateFabricationRecord(item, { used: true });
+}
 
-  // Notify GM
-  const actor = codex.parent instanceof Actor ? codex.parent : null;
-  const actorName = actor?.name ?? "Unknown Actor";
-  const userName = game.user.name ?? "Unknown User";
-  const levelLabel = normalizedLevel ? `Level ${normalizedLevel}` : "Uncategorized";
-  await requestGMNotification(
-    `<strong>${userName}</strong>'s character <strong>${actorName}</strong> assigned <strong>${blueprint.name}</strong> to <strong>${levelLabel}</strong>`
-  );
+/**
+ * "Unused before the next rest" refunds lapse once the caster who paid for them rests.
+ * @param {Actor} caster
+ */
+async function _lapseRefunds(caster) {
+  for (const item of getFabricatedItems()) {
+    const record = getFabricationRecord(item);
+    if (record?.fabricatedBy === caster.uuid && record.refund === "unused" && !record.refundLapsed) {
+      await _updateFabricationRecord(item, { refundLapsed: true });
+    }
+  }
 }
 
-function buildSlotOptions(selectedLevel) {
-  const options = [{
-    value: "0",
-    label: "Uncategorized",
-    selected: selectedLevel === null || selectedLevel === 0 || selectedLevel === undefined
-  }];
-  for (let i = 1; i <= 9; i++) {
-    options.push({ value: String(i), label: `${i}`, selected: i === selectedLevel });
+/**
+ * Remove fabricated items whose lifetime has run out and tell the codex owner.
+ * @param {Item[]} items
+ * @param {string} reason - Human-readable cause, e.g. "a long rest"
+ */
+async function _expireFabricatedItems(items, reason) {
+  for (const item of items) {
+    // Several hooks can expire the same item; the first one wins
+    if (!item.parent?.items.has(item.id)) continue;
+    const holder = item.parent;
+    try {
+      const codex = fromUuidSync(item.getFlag(MODULE_ID, "originUuid"));
+      await _removeFabricatedItem(item, { action: "expire", details: `Expired after ${reason}` });
+      const owner = codex?.parent instanceof Actor ? codex.parent : null;
+      if (owner) {
+        await _whisperOwners(owner, `<strong>${item.name}</strong> held by <strong>${holder?.name ?? "Unknown Actor"}</strong> expired after ${reason}.`);
+      }
+    } catch (err) {
+      console.error(`${MODULE_ID} | Could not expire ${item.name} held by ${holder.name}:`, err);
+    }
   }
-  return options;
 }
 
-function getTargetActors(user) {
-  const actors = new Map();
-  const ownedLevel = CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER;
-  const mode = getTargetMode();
+/**
+ * Append an entry to a codex's ledger, trimming it to the configured size.
+ * @param {Item} codex
+ * @param {object} entry - An action from LEDGER_ACTIONS plus any ledger fields
+ * @param {User|null} [user] - The user responsible, if any
+ */
+async function _appendLedger(codex, entry, user = null) {
+  if (!isCodexItem(codex) || !(entry?.action in LEDGER_ACTIONS)) return;
+  const ledger = foundry.utils.duplicate(codex.getFlag(MODULE_ID, "ledger") ?? []);
+  ledger.push({
+    id: foundry.utils.randomID(),
+    action: entry.action,
+    timestamp: Date.now(),
+    worldTime: game.time.worldTime,
+    userName: user?.name ?? "System",
+    blueprintName: String(entry.blueprintName ?? ""),
+    blueprintUuid: entry.blueprintUuid ?? null,
+    itemUuid: entry.itemUuid ?? null,
+    targetName: String(entry.targetName ?? ""),
+    targetUuid: entry.targetUuid ?? null,
+    slotLevel: Number.isFinite(entry.slotLevel) ? entry.slotLevel : null,
+    details: String(entry.details ?? "")
+  });
+  const size = getLedgerSize();
+  await codex.setFlag(MODULE_ID, "ledger", size > 0 ? ledger.slice(-size) : ledger);
+}
 
-  if (mode === "pcs") {
-    for (const actor of game.actors.contents) {
-      if (actor.type === "character") actors.set(actor.uuid, actor);
+/**
+ * GM handler: Assign a blueprint to a spell level, or back to Uncategorized (null).
+ * The level rules are checked here against the calling user's casters; exempt
+ * blueprints skip the level limit and the per-level cap, but not their research.
+ * Updates the codex's level maps, the blueprint's flag, its mirror and the ledger.
+ * @param {string} blueprintUuid
+ * @param {string} codexUuid
+ * @param {number|null} level
+ * @returns {{ok: boolean, message?: string}}
+ */
+async function _gmSetBlueprintLevel(blueprintUuid, codexUuid, level) {
+  const user = _getCallingUser(this);
+  const blueprint = await fromUuid(blueprintUuid);
+  const codex = await fromUuid(codexUuid);
+  if (!(blueprint instanceof Item) || !isCodexItem(codex) || !isItemInCodex(blueprint, codex)) {
+    return { ok: false, message: FABRICATION_ERRORS.NOT_IN_CODEX };
+  }
+  if (!_userCanUseCodex(user, codex)) {
+    await _rejectRequest(user, "set level", `they do not own <strong>${codex.name}</strong>.`);
+    return { ok: false, message: FABRICATION_ERRORS.PERMISSION_DENIED };
+  }
+
+  const normalizedLevel = level === null ? null : Number.parseInt(level, 10);
+  if (normalizedLevel !== null && (!Number.isFinite(normalizedLevel) || normalizedLevel < 1 || normalizedLevel > 9)) {
+    return { ok: false, message: "Choose a level from 1 to 9." };
+  }
+  const problem = getLevelAssignmentProblem(codex, blueprint, normalizedLevel, user);
+  if (problem) return { ok: false, message: problem };
+
+  const uuidMap = foundry.utils.deepClone(codex.getFlag(MODULE_ID, "slotLevelsByUuid") ?? {});
+  const nameMap = foundry.utils.deepClone(codex.getFlag(MODULE_ID, "slotLevelsByName") ?? {});
+  if (normalizedLevel === null) {
+    delete uuidMap[blueprint.uuid];
+    delete nameMap[blueprint.name];
+  } else {
+    uuidMap[blueprint.uuid] = normalizedLevel;
+    nameMap[blueprint.name] = normalizedLevel;
+  }
+  // Replace the maps whole so removed keys do not linger
+  await codex.update({
+    [`flags.${MODULE_ID}.-=slotLevelsByUuid`]: null,
+    [`flags.${MODULE_ID}.-=slotLevelsByName`]: null
+  });
+  await codex.update({
+    [`flags.${MODULE_ID}.slotLevelsByUuid`]: uuidMap,
+    [`flags.${MODULE_ID}.slotLevelsByName`]: nameMap
+  });
+  await blueprint.setFlag(MODULE_ID, "spellLevel", normalizedLevel);
+  await _syncMirror(blueprint, normalizedLevel);
+
+  await _appendLedger(codex, {
+    action: "level",
+    blueprintName: blueprint.name,
+    blueprintUuid: blueprint.uuid,
+    slotLevel: normalizedLevel,
+    details: normalizedLevel ? `Assigned to level ${normalizedLevel}` : "Moved to Uncategorized"
+  }, user);
+
+  const levelLabel = normalizedLevel ? `Level ${normalizedLevel}` : "Uncategorized";
+  await _gmNotify(`<strong>${user?.name ?? "Unknown User"}</strong>'s character <strong>${codex.parent?.name ?? "Unknown Actor"}</strong> assigned <strong>${blueprint.name}</strong> to <strong>${levelLabel}</strong>`);
+  return { ok: true };
+}
+
+/**
+ * GM handler: Update flags on an actor-owned item (codex or blueprint).
+ * Players may only set the keys in CLIENT_FLAG_KEYS on items they own, and changing
+ * one of the REVIEWED_FLAG_KEYS un-approves the blueprint.
+ * @param {string} itemUuid
+ * @param {string} flagKey - e.g. "slotLevelsByUuid"
+ * @param {*} flagValue
+ */
+async function _gmSetFlag(itemUuid, flagKey, flagValue) {
+  const user = _getCallingUser(this);
+  const item = await fromUuid(itemUuid);
+  if (!(item instanceof Item)) return;
+
+  if (!user?.isGM) {
+    const kind = CLIENT_FLAG_KEYS[flagKey];
+    const matchesKind = (kind === "codex" && isCodexItem(item))
+      || (kind === "blueprint" && item.getFlag(MODULE_ID, "isInnovation"));
+    if (!matchesKind) {
+      await _rejectRequest(user, "set flag", `the flag <code>${flagKey}</code> cannot be set on <strong>${item.name}</strong>.`);
+      return;
     }
-  } else if (mode === "owned") {
-    for (const actor of game.actors.contents) {
-      if (user.isGM || actor.testUserPermission(user, ownedLevel)) {
-        actors.set(actor.uuid, actor);
-      }
+    if (!_userCanUseCodex(user, item)) {
+      await _rejectRequest(user, "set flag", `they do not own <strong>${item.name}</strong>.`);
+      return;
     }
   }
 
-  const allowedNames = getAllowedActorNames();
-  if (allowedNames.length) {
-    for (const actor of game.actors.contents) {
-      if (!allowedNames.includes(actor.name.toLowerCase())) continue;
-      if (user.isGM || actor.testUserPermission(user, ownedLevel)) {
-        actors.set(actor.uuid, actor);
-      }
-    }
+  const changed = !foundry.utils.objectsEqual({ value: item.getFlag(MODULE_ID, flagKey) }, { value: flagValue });
+  await item.setFlag(MODULE_ID, flagKey, flagValue);
+  if (changed && !user?.isGM && REVIEWED_FLAG_KEYS.includes(flagKey)
+    && getReviewStatus(item) === REVIEW_STATUS.APPROVED) {
+    await _resetReview(item, user);
   }
+}
 
-  return Array.from(actors.values())
-    .sort((a, b) => a.name.localeCompare(b.name))
-    .map((actor) => ({ name: actor.name, img: actor.img, uuid: actor.uuid }));
+/**
+ * GM handler: Mirror an actor's blueprint to the world Items folder.
+ * The mirror is built from the blueprint itself, never from client-sent data.
+ * @param {string} actorItemUuid
+ * @param {number|null} level
+ */
+async function _gmMirror(actorItemUuid, level) {
+  const user = _getCallingUser(this);
+  const actorItem = await fromUuid(actorItemUuid);
+  if (!(actorItem instanceof Item) || !actorItem.getFlag(MODULE_ID, "isInnovation")) return;
+  if (!_userCanUseCodex(user, actorItem)) {
+    await _rejectRequest(user, "mirror", `they do not own <strong>${actorItem.name}</strong>.`);
+    return;
+  }
+  await _syncMirror(actorItem, level);
 }
 
-function getAllowedActorNames() {
-  const raw = game.settings.get(MODULE_ID, "allowedActorNames");
-  if (!raw) return [];
-  return raw.split(",").map((n) => n.trim().toLowerCase()).filter((n) => n.length > 0);
+/**
+ * Create or update the world mirror of a blueprint with its full item data.
+ * The blueprint's version history stays on the actor's item.
+ * @param {Item} actorItem
+ * @param {number|null} level
+ */
+async function _syncMirror(actorItem, level) {
+  const folder = await ensureCodexFolder(getMirrorFolderPath(actorItem, level));
+
+  const mirrorData = actorItem.toObject();
+  delete mirrorData._id;
+  delete mirrorData.flags[MODULE_ID].versions;
+  mirrorData.folder = folder.id;
+  foundry.utils.setProperty(mirrorData, "system.container", null);
+  foundry.utils.setProperty(mirrorData, "system.containerId", null);
+  foundry.utils.setProperty(mirrorData, `flags.${MODULE_ID}.mirrorOf`, actorItem.uuid);
+  foundry.utils.setProperty(mirrorData, `flags.${MODULE_ID}.spellLevel`, level);
+  foundry.utils.setProperty(mirrorData, `flags.${MODULE_ID}.syncedVersion`, getBlueprintVersion(actorItem));
+  foundry.utils.setProperty(mirrorData, `flags.${MODULE_ID}.retired`, false);
+
+  const mirrorItem = findMirror(actorItem);
+  if (!mirrorItem) {
+    await Item.create(mirrorData, SYNC_OPTIONS);
+    return;
+  }
+
+  const { name, img, system, flags, folder: folderId } = mirrorData;
+  await mirrorItem.update({ name, img, system, flags, folder: folderId }, SYNC_OPTIONS);
+  await _replaceEffects(mirrorItem, actorItem, SYNC_OPTIONS);
 }
 
-function getTargetMode() {
-  return game.settings.get(MODULE_ID, "targetMode") || "pcs";
+/**
+ * Replace an item's effects with those of a source item, if they differ.
+ * @param {Item} item
+ * @param {Item} source
+ * @param {object} [options] - Passed to the embedded document operations
+ * @param {string[]} [excludeIds] - Source effects to leave out
+ */
+async function _replaceEffects(item, source, options = {}, excludeIds = []) {
+  const current = getBlueprintSnapshot(item).effects;
+  const wanted = (source.toObject().effects ?? [])
+    .filter((effect) => !excludeIds.includes(effect._id))
+    .map(({ _id, _stats, ...effect }) => effect);
+  if (foundry.utils.objectsEqual({ effects: current }, { effects: wanted })) return;
+  if (item.effects.size) await item.deleteEmbeddedDocuments("ActiveEffect", item.effects.map((e) => e.id), options);
+  if (wanted.length) await item.createEmbeddedDocuments("ActiveEffect", wanted, options);
 }
 
-function getIconSize() {
-  const raw = game.settings.get(MODULE_ID, "iconSize");
-  const value = Number.parseInt(raw, 10);
-  return Number.isFinite(value) ? value : 64;
+/**
+ * Copy a world mirror's content back onto its actor blueprint and record the result as a new version.
+ * @param {Item} mirror
+ * @param {Item} blueprint
+ * @param {User|null} user - Who edited the mirror
+ */
+async function _applyMirrorToBlueprint(mirror, blueprint, user) {
+  const { name, img, system } = getBlueprintSnapshot(mirror);
+  await blueprint.update({ name, img, system }, SYNC_OPTIONS);
+  await _replaceEffects(blueprint, mirror, SYNC_OPTIONS);
+  await _commitBlueprintVersion(blueprint, user);
+  await mirror.update({ [`flags.${MODULE_ID}.syncedVersion`]: getBlueprintVersion(blueprint) }, SYNC_OPTIONS);
 }
 
-function getPortraitSize() {
-  const raw = game.settings.get(MODULE_ID, "portraitSize");
-  const value = Number.parseInt(raw, 10);
-  return Number.isFinite(value) ? value : 48;
-}
+/**
+ * Bring a blueprint and its world mirror back in step.
+ * Each side is compared with the version they last shared. When only one side changed it is
+ * copied to the other; when both changed, the world's conflict policy picks the winner.
+ * @param {Item} blueprint
+ * @param {Item} mirror
+ * @param {User|null} [user] - Who made the triggering edit
+ */
+async function _reconcileMirror(blueprint, mirror, user = null) {
+  const level = blueprint.getFlag(MODULE_ID, "spellLevel") ?? null;
+  const blueprintData = getBlueprintSnapshot(blueprint);
+  const mirrorData = getBlueprintSnapshot(mirror);
+  if (foundry.utils.objectsEqual(blueprintData, mirrorData)) {
+    if (mirror.getFlag(MODULE_ID, "retired") || mirror.getFlag(MODULE_ID, "syncedVersion") !== getBlueprintVersion(blueprint)) {
+      await _syncMirror(blueprint, level);
+    }
+    return;
+  }
 
-function getBlueprintItems(actor, codex) {
-  return actor.items
-    .filter((item) => isItemInCodex(item, codex))
-    .map((item) => {
-      const level = getSlotLevel(codex, item);
-      return {
-        name: item.name,
-        img: item.img,
-        uuid: item.uuid,
-        slotLevel: level,
-        canFabricate: level !== null && level >= 1 && level <= 9,
-        slotOptions: buildSlotOptions(level)
-      };
-    });
+  const syncedVersion = mirror.getFlag(MODULE_ID, "syncedVersion");
+  const base = getBlueprintVersions(blueprint).find((v) => v.version === syncedVersion)?.data ?? null;
+  const blueprintChanged = !base || !foundry.utils.objectsEqual(blueprintData, base);
+  const mirrorChanged = !base || !foundry.utils.objectsEqual(mirrorData, base);
+
+  let mirrorWins = mirrorChanged && !blueprintChanged;
+  if (blueprintChanged && mirrorChanged) {
+    mirrorWins = getSyncPolicy() === "gm";
+    await _gmNotify(`<strong>${blueprint.name}</strong> was changed on both <strong>${blueprint.parent?.name}</strong> and its world mirror. Kept the ${mirrorWins ? "world mirror" : "actor's blueprint"}.`);
+  }
+
+  if (mirrorWins) await _applyMirrorToBlueprint(mirror, blueprint, user);
+  else await _syncMirror(blueprint, level);
 }
 
-function isItemInCodex(item, codex) {
-  const container = item?.system?.container;
-  const containerId = item?.system?.containerId;
-  return (
-    container === codex.id ||
-    container === codex.uuid ||
-    containerId === codex.id ||
-    containerId === codex.uuid
-  );
+/**
+ * Move a mirror whose blueprint no longer exists into the Retired folder.
+ * @param {Item} mirror
+ */
+async function _retireMirror(mirror) {
+  if (mirror.getFlag(MODULE_ID, "retired")) return;
+  await mirror.update({
+    folder: getRetiredFolder()?.id ?? mirror.folder?.id ?? null,
+    [`flags.${MODULE_ID}.retired`]: true,
+    [`flags.${MODULE_ID}.retiredAt`]: Date.now()
+  }, SYNC_OPTIONS);
 }
 
-function getActiveInnovations(codex) {
-  if (!codex) return [];
-  const results = [];
-  for (const actor of game.actors.contents) {
-    for (const item of actor.items.contents) {
-      if (item.getFlag(MODULE_ID, "originUuid") !== codex.uuid) continue;
-      results.push({
-        itemName: item.name,
-        itemImg: item.img,
-        itemUuid: item.uuid,
-        actorName: actor.name,
-        actorImg: actor.img
-      });
-    }
+/**
+ * A GM deleted a blueprint's world mirror. Under "GM wins" the blueprint stays in its codex,
+ * history and all, but is marked rejected so it cannot be fabricated until a GM approves it again;
+ * under "player wins" the mirror is rebuilt.
+ * @param {Item} mirror - The deleted mirror
+ */
+async function _onMirrorDeleted(mirror) {
+  if (mirror.getFlag(MODULE_ID, "retired")) return;
+  const blueprint = fromUuidSync(mirror.getFlag(MODULE_ID, "mirrorOf"));
+  if (!isEditableBlueprint(blueprint)) return;
+
+  if (getSyncPolicy() === "player") {
+    await _syncMirror(blueprint, blueprint.getFlag(MODULE_ID, "spellLevel") ?? null);
+    return;
   }
-  return results;
+  const note = "Its world copy was deleted by the GM.";
+  await blueprint.update({
+    [`flags.${MODULE_ID}.reviewStatus`]: REVIEW_STATUS.REJECTED,
+    [`flags.${MODULE_ID}.reviewNote`]: note
+  }, SYNC_OPTIONS);
+  await _whisperOwners(blueprint.parent, `<strong>${blueprint.name}</strong> was withdrawn by the GM and cannot be fabricated until it is approved again.`);
+  await _gmNotify(`Deleting the world copy of <strong>${blueprint.name}</strong> withdrew it from <strong>${blueprint.parent?.name ?? "Unknown Actor"}</strong>'s codex. Approve it in the Review Queue to restore it.`);
 }
 
-/* ================================================== */
-/*  SECTION 5: Player-facing logic                    */
-/* ================================================== */
+/**
+ * Record a new version of a blueprint if its content changed since the last snapshot.
+ * Runs GM-side whenever a blueprint or one of its effects is edited, and before fabricating.
+ * @param {Item} blueprint
+ * @param {User|null} [user] - Who made the change
+ * @returns {boolean} Whether a new version was recorded
+ */
+async function _commitBlueprintVersion(blueprint, user = null) {
+  const versions = getBlueprintVersions(blueprint);
+  const data = getBlueprintSnapshot(blueprint);
+  const latest = versions.at(-1);
+  if (latest && foundry.utils.objectsEqual(latest.data, data)) return false;
 
-function openCodex(codexItem) {
-  if (!codexItem) return;
-  const now = Date.now();
-  const lastOpen = RECENT_OPEN.get(codexItem.uuid) ?? 0;
-  if (now - lastOpen < 250) return;
-  RECENT_OPEN.set(codexItem.uuid, now);
-  new InnovationsCodexApp(codexItem).render(true);
+  const version = (latest?.version ?? 0) + 1;
+  const history = [...versions, { version, data, createdAt: Date.now(), userName: user?.name ?? "" }]
+    .slice(-MAX_BLUEPRINT_VERSIONS);
+  await blueprint.update({
+    [`flags.${MODULE_ID}.version`]: version,
+    [`flags.${MODULE_ID}.versions`]: history
+  });
+  return true;
 }
 
-async function openCodexByUuid(itemUuid) {
-  const item = await fromUuid(itemUuid);
-  if (item) openCodex(item);
+/**
+ * Version bookkeeping after a blueprint edit: record the version and keep the world mirror in step.
+ * A player's edit to an approved blueprint sends it back for review.
+ * @param {Item} blueprint
+ * @param {User|null} user
+ */
+async function _onBlueprintEdited(blueprint, user) {
+  const committed = await _commitBlueprintVersion(blueprint, user);
+  if (committed && user && !user.isGM && getReviewStatus(blueprint) === REVIEW_STATUS.APPROVED) {
+    await _resetReview(blueprint, user);
+  }
+  const mirror = findMirror(blueprint);
+  if (mirror) await _reconcileMirror(blueprint, mirror, user);
 }
 
 /**
- * Entry point when "Create Innovation" feat is used.
- * Routes codex creation through socketlib so any player can use it.
+ * A world mirror was edited directly: carry the change back to its blueprint.
+ * @param {Item} mirror
+ * @param {User|null} user
  */
-async function useCreateFeature(feat) {
-  const actor = feat?.parent;
-  if (!(actor instanceof Actor)) {
-    ui.notifications.warn("The Create Innovation feature must be on an actor's sheet.");
-    return;
+async function _onMirrorEdited(mirror, user) {
+  const blueprint = fromUuidSync(mirror.getFlag(MODULE_ID, "mirrorOf"));
+  if (!isEditableBlueprint(blueprint)) return;
+  await _reconcileMirror(blueprint, mirror, user);
+}
+
+/**
+ * GM handler: Update active fabricated copies to a blueprint's current version.
+ * Copies not listed stay pinned to the version they were made from.
+ * @param {string} blueprintUuid
+ * @param {string} codexUuid
+ * @param {string[]} itemUuids - The copies to update
+ * @returns {number} How many copies were updated
+ */
+async function _gmPushBlueprintVersion(blueprintUuid, codexUuid, itemUuids = []) {
+  const user = _getCallingUser(this);
+  const blueprint = await fromUuid(blueprintUuid);
+  const codex = await fromUuid(codexUuid);
+  if (!(blueprint instanceof Item) || !isCodexItem(codex) || !isItemInCodex(blueprint, codex)) return 0;
+  if (!_userCanUseCodex(user, codex)) {
+    await _rejectRequest(user, "update copies", `they do not own <strong>${codex.name}</strong>.`);
+    return 0;
   }
 
-  // Check if actor already has a codex
-  let codex = actor.items.find((i) => isCodexItem(i));
+  await _commitBlueprintVersion(blueprint, user);
+  const version = getBlueprintVersion(blueprint);
+  const wanted = new Set(itemUuids);
+  const copies = getCodexFabrications(codexUuid)
+    .filter((i) => wanted.has(i.uuid) && i.getFlag(MODULE_ID, "blueprintUuid") === blueprint.uuid);
 
-  if (!codex) {
-    // Ask GM to add the codex via socketlib
-    const codexUuid = await addCodexToActor(actor.uuid);
-    if (!codexUuid) {
-      ui.notifications.error("Failed to add Innovations Codex to your character.");
-      return;
-    }
-    codex = await fromUuid(codexUuid);
-    if (!codex) {
-      ui.notifications.error("Failed to find the newly created codex.");
-      return;
+  // What the holder has done with their copy survives the update
+  const kept = ["container", "equipped", "attuned", "quantity", "uses.spent"];
+  for (const copy of copies) {
+    const data = buildFabricatedData(blueprint, codexUuid, {
+      baseLevel: copy.getFlag(MODULE_ID, "baseLevel"),
+      castLevel: copy.getFlag(MODULE_ID, "spentSlotLevel")
+    });
+    for (const path of kept) {
+      const value = foundry.utils.getProperty(copy._source.system, path);
+      if (value !== undefined) foundry.utils.setProperty(data.system, path, value);
     }
-    ui.notifications.info(`Added ${CODEX_NAME} to ${actor.name}'s inventory.`);
+    await copy.update({
+      name: data.name,
+      img: data.img,
+      system: data.system,
+      [`flags.${MODULE_ID}.blueprintVersion`]: version
+    });
+    await _replaceEffects(copy, blueprint, {}, getRecipientEffectIds(blueprint));
+    await _applyRecipientEffects(copy, getRecipientEffectData(blueprint));
   }
 
-  openCodex(codex);
+  if (copies.length) {
+    await _appendLedger(codex, {
+      action: "update",
+      blueprintName: blueprint.name,
+      blueprintUuid: blueprint.uuid,
+      details: `Version ${version} pushed to ${copies.map((c) => `${c.name} (${c.parent?.name})`).join(", ")}`
+    }, user);
+  }
+  return copies.length;
 }
 
 /**
- * Show dialog and create a new innovation via socketlib.
+ * GM handler: Approve or reject a blueprint awaiting review.
+ * Only callable by a GM user.
+ * @param {string} blueprintUuid
+ * @param {string} status - "approved" or "rejected"
+ * @param {string} [note] - Optional note shown to the blueprint's owner
+ * @returns {boolean}
  */
-async function createNewInnovation(codex, actor) {
-  const itemTypes = {
-    weapon: "Weapon",
-    equipment: "Equipment",
-    consumable: "Consumable",
-    tool: "Tool",
-    loot: "Loot"
-  };
-
-  const typeOptions = Object.entries(itemTypes)
-    .map(([value, label]) => `<option value="${value}">${label}</option>`)
-    .join("");
+async function _gmReviewInnovation(blueprintUuid, status, note = "") {
+  const user = _getCallingUser(this);
+  if (!user?.isGM) {
+    await _rejectRequest(user, "review", "only a GM can approve or reject innovations.");
+    return false;
+  }
+  if (status !== REVIEW_STATUS.APPROVED && status !== REVIEW_STATUS.REJECTED) return false;
 
-  const content = `
-    <form>
-      <div class="form-group">
-        <label>Innovation Name</label>
-        <input type="text" name="itemName" placeholder="Name your innovation..." autofocus />
-      </div>
-      <div class="form-group">
-        <label>Item Type</label>
-        <select name="itemType">${typeOptions}</select>
-      </div>
-    </form>`;
+  const blueprint = await fromUuid(blueprintUuid);
+  if (!(blueprint instanceof Item) || !blueprint.getFlag(MODULE_ID, "isInnovation")) return false;
 
-  const result = await Dialog.prompt({
-    title: "New Innovation",
-    content,
-    label: "Create",
-    callback: (html) => {
-      const form = html[0]?.querySelector("form") ?? html.querySelector?.("form");
-      return {
-        name: form?.querySelector("[name=itemName]")?.value?.trim(),
-        type: form?.querySelector("[name=itemType]")?.value
-      };
-    },
-    rejectClose: false
+  await blueprint.update({
+    [`flags.${MODULE_ID}.reviewStatus`]: status,
+    [`flags.${MODULE_ID}.reviewNote`]: note,
+    [`flags.${MODULE_ID}.reviewedBy`]: user.name
   });
+  // A blueprint withdrawn by deleting its world copy gets the copy back when approved
+  if (status === REVIEW_STATUS.APPROVED && isEditableBlueprint(blueprint) && !findMirror(blueprint)) {
+    await _syncMirror(blueprint, blueprint.getFlag(MODULE_ID, "spellLevel") ?? null);
+  }
 
-  if (!result || !result.name) {
-    ui.notifications.warn("Innovation name is required.");
-    return null;
+  const actor = blueprint.parent instanceof Actor ? blueprint.parent : null;
+  if (actor) {
+    const noteText = note ? `: <em>${foundry.utils.escapeHTML?.(note) ?? note}</em>` : ".";
+    await _whisperOwners(actor, `<strong>${blueprint.name}</strong> was ${getReviewLabel(status).toLowerCase()} by the GM${noteText}`);
   }
+  return true;
+}
 
-  // Create item via GM
-  const createdUuid = await createInnovationOnActor(actor.uuid, codex.id, result.name, result.type);
-  if (!createdUuid) {
-    ui.notifications.error("Failed to create innovation.");
-    return null;
+/**
+ * Send an approved blueprint back to the review queue after a player changed it.
+ * @param {Item} blueprint
+ * @param {User|null} user - Who made the change
+ */
+async function _resetReview(blueprint, user) {
+  await blueprint.update({
+    [`flags.${MODULE_ID}.reviewStatus`]: REVIEW_STATUS.PENDING,
+    [`flags.${MODULE_ID}.reviewNote`]: "",
+    [`flags.${MODULE_ID}.reviewedBy`]: ""
+  }, SYNC_OPTIONS);
+  await _gmNotify(`<strong>${user?.name ?? "Unknown User"}</strong> changed the approved innovation <strong>${blueprint.name}</strong>. It is waiting for review again.`);
+}
+
+/**
+ * A player wrote this module's flags on a blueprint or codex without going through a GM handler.
+ * The old values are gone, so every blueprint affected goes back to review for a GM to check.
+ * @param {Item} item - The blueprint or codex
+ * @param {User|null} user
+ */
+async function _onGuardedFlagsChanged(item, user) {
+  const blueprints = isCodexItem(item)
+    ? (item.parent?.items.filter((i) => isEditableBlueprint(i) && isItemInCodex(i, item)) ?? [])
+    : [item];
+  for (const blueprint of blueprints) {
+    await blueprint.update({
+      [`flags.${MODULE_ID}.reviewStatus`]: REVIEW_STATUS.PENDING,
+      [`flags.${MODULE_ID}.reviewNote`]: "Its settings were changed outside the codex."
+    }, SYNC_OPTIONS);
   }
+  await _gmNotify(`<strong>${user?.name ?? "Unknown User"}</strong> changed the module settings of <strong>${item.name}</strong> directly. ${blueprints.length} ${blueprints.length === 1 ? "blueprint is" : "blueprints are"} waiting for review again.`);
+}
 
-  const created = await fromUuid(createdUuid);
-  if (!created) {
-    ui.notifications.error("Failed to find the newly created innovation.");
-    return null;
+/**
+ * Whisper a message to the players who own an actor.
+ * @param {Actor} actor
+ * @param {string} message - HTML message content
+ */
+async function _whisperOwners(actor, message) {
+  const recipients = getOwnerUsers(actor).map((u) => u.id);
+  if (!recipients.length) return;
+  await ChatMessage.create({
+    content: `<strong>${CODEX_NAME}</strong> | ${message}`,
+    whisper: recipients,
+    speaker: { alias: CODEX_NAME }
+  });
+}
+
+/**
+ * GM handler: Send a whisper to all GMs.
+ * @param {string} message - HTML message content
+ */
+async function _gmNotify(message) {
+  await ChatMessage.create({
+    content: `<strong>${MODULE_ID}</strong> | ${message}`,
+    whisper: ChatMessage.getWhisperRecipients("GM"),
+    speaker: { alias: "Innovations Codex" }
+  });
+}
+
+/* ================================================== */
+/*  SECTION 2: Socketlib wrappers (call from anyone)  */
+/* ================================================== */
+
+function _ensureSocket() {
+  if (!icSocket) {
+    // Last-ditch attempt to register if socketlib is available
+    try {
+      if (typeof socketlib !== "undefined") _registerSocketlib();
+    } catch (e) {
+      // Swallow — registration may fail if socket channel not allocated
+    }
+    if (!icSocket) {
+      ui.notifications?.error("Innovations Codex: socketlib is not connected. Please return to the Foundry setup screen and relaunch your world.");
+      throw new Error(`${MODULE_ID} | socketlib not initialized. Restart the world from the Foundry setup screen.`);
+    }
   }
+}
 
-  // Mirror to world Uncategorized folder via GM
-  await mirrorToWorldFolder(created, null);
+async function addCodexToActor(actorUuid, name = null) {
+  _ensureSocket();
+  return icSocket.executeAsGM("addCodexToActor", actorUuid, name);
+}
 
-  // Notify GM
-  const actorName = actor.name ?? "Unknown Actor";
-  const userName = game.user.name ?? "Unknown User";
-  await requestGMNotification(
-    `<strong>${userName}</strong>'s character <strong>${actorName}</strong> created a new innovation: <strong>${result.name}</strong> (Uncategorized)`
-  );
+async function createInnovationOnActor(actorUuid, codexId, itemName, itemType, sourceUuid = null, contributorUuid = null, intendedLevel = null) {
+  _ensureSocket();
+  return icSocket.executeAsGM("createInnovation", actorUuid, codexId, itemName, itemType, sourceUuid, contributorUuid, intendedLevel);
+}
 
-  // Open the item sheet
-  created.sheet.render(true);
-  return created;
+async function fabricate(ownerActorUuid, targetActorUuid, blueprintUuid, codexUuid, slotLevel, options = {}) {
+  _ensureSocket();
+  return icSocket.executeAsGM("fabricate", ownerActorUuid, targetActorUuid, blueprintUuid, codexUuid, slotLevel, options);
+}
+
+async function requestRecall(itemUuid, codexUuid, details = "") {
+  _ensureSocket();
+  return icSocket.executeAsGM("recall", itemUuid, codexUuid, details);
+}
+
+async function requestCleanUp(itemUuid) {
+  _ensureSocket();
+  return icSocket.executeAsGM("cleanUp", itemUuid);
+}
+
+async function requestDismantle(itemUuid) {
+  _ensureSocket();
+  return icSocket.executeAsGM("dismantle", itemUuid);
+}
+
+async function recordInnovationUse(itemUuid) {
+  _ensureSocket();
+  return icSocket.executeAsGM("recordUse", itemUuid);
+}
+
+async function reportInnovationUse(itemUuid) {
+  _ensureSocket();
+  return icSocket.executeAsGM("malfunction", itemUuid);
+}
+
+async function setItemFlag(itemUuid, flagKey, flagValue) {
+  _ensureSocket();
+  return icSocket.executeAsGM("setFlag", itemUuid, flagKey, flagValue);
+}
+
+async function mirrorToWorldFolder(actorItem, level) {
+  _ensureSocket();
+  return icSocket.executeAsGM("mirror", actorItem.uuid, level);
+}
+
+async function requestGMNotification(message) {
+  _ensureSocket();
+  return icSocket.executeAsGM("notify", message);
+}
+
+async function transferInnovation(itemUuid, codexUuid, targetActorUuid) {
+  _ensureSocket();
+  return icSocket.executeAsGM("transfer", itemUuid, codexUuid, targetActorUuid);
+}
+
+async function setBlueprintLevel(blueprintUuid, codexUuid, level) {
+  _ensureSocket();
+  return icSocket.executeAsGM("setLevel", blueprintUuid, codexUuid, level);
+}
+
+async function pushBlueprintVersion(blueprintUuid, codexUuid, itemUuids) {
+  _ensureSocket();
+  return icSocket.executeAsGM("pushVersion", blueprintUuid, codexUuid, itemUuids);
+}
+
+async function shareBlueprint(blueprintUuid, codexUuid, recipientCodexUuid, terms) {
+  _ensureSocket();
+  return icSocket.executeAsGM("shareBlueprint", blueprintUuid, codexUuid, recipientCodexUuid, terms);
+}
+
+async function logResearch(blueprintUuid, hours, checkActorUuid = null) {
+  _ensureSocket();
+  return icSocket.executeAsGM("logResearch", blueprintUuid, hours, checkActorUuid);
+}
+
+async function reviewInnovation(blueprintUuid, status, note) {
+  _ensureSocket();
+  return icSocket.executeAsGM("reviewInnovation", blueprintUuid, status, note);
 }
 
 /* ================================================== */
-/*  SECTION 6: ApplicationV2 Window                   */
+/*  SECTION 3: Folder & Item Setup (GM only)          */
 /* ================================================== */
 
-class InnovationsCodexApp extends foundry.applications.api.ApplicationV2 {
-  static DEFAULT_OPTIONS = foundry.utils.mergeObject(super.DEFAULT_OPTIONS, {
-    id: "innovations-codex-app",
-    tag: "section",
-    classes: ["innovations-codex"],
-    window: { title: "Innovations Codex", resizable: true },
-    position: { width: 720 }
+/**
+ * Make sure the module's root folder and the subfolders of the current scheme exist.
+ * Folders are identified by flags, so GMs may rename them freely; folders from
+ * before flags were used are adopted by name.
+ * @returns {Folder} The root folder
+ */
+async function ensureFolderHierarchy() {
+  const parentId = (f) => f.folder?.id ?? f.folder ?? null;
+  const isFolderEmpty = (f) => {
+    return !game.items.some((it) => (it.folder?.id ?? it.folder) === f.id)
+      && !game.folders.some((child) => parentId(child) === f.id);
+  };
+
+  // Root folder
+  let rootFolder = getCodexRootFolder();
+  if (!rootFolder) {
+    const rootCandidates = game.folders.filter(
+      (f) => f.name === CODEX_NAME && f.type === "Item" && !parentId(f)
+    );
+    if (rootCandidates.length >= 1) {
+      rootFolder = rootCandidates[0];
+      await rootFolder.setFlag(MODULE_ID, "folderRole", "root");
+      for (let i = 1; i < rootCandidates.length; i++) {
+        const dupe = rootCandidates[i];
+        if (isFolderEmpty(dupe)) {
+          console.log(`${MODULE_ID} | Deleting duplicate empty root folder: ${dupe.id}`);
+          await dupe.delete();
+        }
+      }
+    } else {
+      rootFolder = await Folder.create({
+        name: getRootFolderName(),
+        type: "Item",
+        folder: null,
+        flags: { [MODULE_ID]: { folderRole: "root" } }
+      });
+      console.log(`${MODULE_ID} | Created root folder: ${rootFolder.name} (${rootFolder.id})`);
+    }
+  }
+  if (rootFolder.name !== getRootFolderName()) await rootFolder.update({ name: getRootFolderName() });
+
+  // Adopt subfolders created before folders were flagged
+  for (const child of game.folders.filter((f) => f.type === "Item" && parentId(f) === rootFolder.id)) {
+    if (child.getFlag(MODULE_ID, "folderKey")) continue;
+    const level = SPELL_LEVEL_FOLDERS.indexOf(child.name);
+    const key = level >= 0 ? `level:${level}` : (child.name === RETIRED_FOLDER ? "retired" : null);
+    if (key && !findChildFolder(rootFolder, key)) await child.setFlag(MODULE_ID, "folderKey", key);
+  }
+
+  // Subfolders
+  for (const { key, name } of getFixedFolderSegments()) {
+    const matches = game.folders.filter(
+      (f) => f.type === "Item" && parentId(f) === rootFolder.id && f.getFlag(MODULE_ID, "folderKey") === key
+    );
+    if (matches.length > 1) {
+      for (let i = 1; i < matches.length; i++) {
+        if (isFolderEmpty(matches[i])) {
+          console.log(`${MODULE_ID} | Deleting duplicate empty subfolder "${matches[i].name}": ${matches[i].id}`);
+          await matches[i].delete();
+        }
+      }
+    }
+    if (matches.length === 0) {
+      const sub = await Folder.create({
+        name,
+        type: "Item",
+        folder: rootFolder.id,
+        flags: { [MODULE_ID]: { folderKey: key } }
+      });
+      console.log(`${MODULE_ID} | Created subfolder: ${sub.name} inside ${rootFolder.name}`);
+    }
+  }
+
+  // Clean strays at root
+  for (const name of [...SPELL_LEVEL_FOLDERS, RETIRED_FOLDER]) {
+    const strays = game.folders.filter(
+      (f) => f.name === name && f.type === "Item" && !parentId(f)
+    );
+    for (const stray of strays) {
+      if (isFolderEmpty(stray)) {
+        console.log(`${MODULE_ID} | Deleting stray root-level folder "${name}": ${stray.id}`);
+        await stray.delete();
+      }
+    }
+  }
+
+  return rootFolder;
+}
+
+/**
+ * Find or create the folder at a path below the root, creating each missing level.
+ * @param {{key: string, name: string}[]} path - From getMirrorFolderPath
+ * @returns {Folder}
+ */
+async function ensureCodexFolder(path) {
+  let folder = getCodexRootFolder() ?? await ensureFolderHierarchy();
+  for (const { key, name } of path) {
+    folder = findChildFolder(folder, key) ?? await Folder.create({
+      name,
+      type: "Item",
+      folder: folder.id,
+      flags: { [MODULE_ID]: { folderKey: key } }
+    });
+  }
+  return folder;
+}
+
+/**
+ * Move every live mirror into the folder the current scheme gives it,
+ * then delete module folders that were left empty.
+ */
+async function migrateMirrorFolders() {
+  await ensureFolderHierarchy();
+  for (const mirror of game.items.filter((i) => isMirrorItem(i) && !i.getFlag(MODULE_ID, "retired"))) {
+    const folder = await ensureCodexFolder(getMirrorFolderPath(mirror));
+    if ((mirror.folder?.id ?? mirror.folder) !== folder.id) await mirror.update({ folder: folder.id }, SYNC_OPTIONS);
+  }
+
+  const fixedKeys = getFixedFolderSegments().map((s) => s.key);
+  const stale = game.folders
+    .filter((f) => f.type === "Item" && f.getFlag(MODULE_ID, "folderKey"))
+    .filter((f) => !(fixedKeys.includes(f.getFlag(MODULE_ID, "folderKey")) && (f.folder?.id ?? f.folder) === getCodexRootFolder()?.id))
+    .sort((a, b) => b.depth - a.depth);
+  for (const folder of stale) {
+    const isEmpty = !game.items.some((i) => (i.folder?.id ?? i.folder) === folder.id)
+      && !game.folders.some((f) => (f.folder?.id ?? f.folder) === folder.id);
+    if (isEmpty) await folder.delete();
+  }
+  console.log(`${MODULE_ID} | Mirrors organised ${FOLDER_SCHEMES[getFolderScheme()].toLowerCase()}`);
+}
+
+/**
+ * Blueprints made before GM review existed have no review status. They could be
+ * fabricated then, so they are approved rather than dropped into the queue.
+ */
+async function migrateReviewStatus() {
+  const legacy = getAllBlueprints().filter((item) => !item.getFlag(MODULE_ID, "reviewStatus"));
+  for (const blueprint of legacy) {
+    await blueprint.update({ [`flags.${MODULE_ID}.reviewStatus`]: REVIEW_STATUS.APPROVED }, SYNC_OPTIONS);
+  }
+  if (legacy.length) console.log(`${MODULE_ID} | Approved ${legacy.length} blueprints made before GM review`);
+}
+
+async function ensureWorldItems(rootFolder) {
+  const existingFeat = game.items.find((i) => i.getFlag(MODULE_ID, "isCreateFeature"));
+  const existingCodex = game.items.find((i) => i.getFlag?.(MODULE_ID, "isCodex"));
+
+  if (existingFeat && existingCodex) return;
+
+  const create = await Dialog.confirm({
+    title: "Innovations Codex Setup",
+    content: `<p>The Innovations Codex module needs to create its world items. Create them now?</p>`
+  });
+  if (!create) return;
+
+  if (!existingFeat) {
+    const activityId = foundry.utils.randomID();
+    await Item.create({
+      name: FEAT_NAME,
+      type: "feat",
+      img: "icons/skills/trades/smithing-anvil-silver-red.webp",
+      folder: rootFolder.id,
+      system: {
+        description: {
+          value: `<p>You channel your ingenuity to produce arcane innovations. Use this feature to open your <strong>Innovations Codex</strong> — a personal workshop where you design, categorize, and fabricate magical items.</p>
+<p>When you use this feature, your codex is automatically added to your inventory if you don't already have one. From the codex window you can:</p>
+<ul>
+<li><strong>Create</strong> new innovation blueprints for your DM to review.</li>
+<li><strong>Assign spell levels</strong> to approved innovations.</li>
+<li><strong>Fabricate</strong> innovations onto yourself or allies by expending a spell slot of the appropriate level.</li>
+<li><strong>Recall</strong> fabricated innovations, removing them from their holder.</li>
+</ul>
+<p>Newly created innovations start as <em>Uncategorized</em> and cannot be fabricated until a spell level is assigned.</p>`
+        },
+        activities: {
+          [activityId]: {
+            _id: activityId,
+            type: "utility",
+            name: "Open Codex",
+            activation: { type: "action", value: 1, override: true },
+            consumption: { scaling: { allowed: false }, targets: [] },
+            duration: { override: false, units: "" },
+            range: { override: false },
+            target: { override: false, prompt: false },
+            uses: { spent: 0, max: "", recovery: [] }
+          }
+        }
+      },
+      flags: { [MODULE_ID]: { isCreateFeature: true } }
+    });
+  }
+
+  if (!existingCodex) {
+    await Item.create({
+      name: CODEX_NAME,
+      type: "container",
+      img: "icons/sundries/books/book-symbol-yellow-grey.webp",
+      folder: rootFolder.id,
+      flags: { [MODULE_ID]: { isCodex: true } }
+    });
+  }
+}
+
+/* ================================================== */
+/*  SECTION 4: Helpers                                */
+/* ================================================== */
+
+function getCodexRootFolder() {
+  return game.folders.find((f) => f.type === "Item" && f.getFlag(MODULE_ID, "folderRole") === "root") ?? null;
+}
+
+function findChildFolder(parent, key) {
+  return game.folders.find((f) => f.type === "Item"
+    && (f.folder?.id ?? f.folder) === parent.id
+    && f.getFlag(MODULE_ID, "folderKey") === key) ?? null;
+}
+
+/**
+ * Look up an existing folder by its path below the root, without creating anything.
+ * @param {{key: string}[]} path
+ * @returns {Folder|null}
+ */
+function getCodexFolder(path) {
+  let folder = getCodexRootFolder();
+  for (const { key } of path) {
+    if (!folder) return null;
+    folder = findChildFolder(folder, key);
+  }
+  return folder;
+}
+
+function getRetiredFolder() {
+  return getCodexFolder([{ key: "retired" }]);
+}
+
+function getRootFolderName() {
+  return game.settings.get(MODULE_ID, "rootFolderName")?.trim() || CODEX_NAME;
+}
+
+function getFolderScheme() {
+  const scheme = game.settings.get(MODULE_ID, "folderScheme");
+  return scheme in FOLDER_SCHEMES ? scheme : "level";
+}
+
+function getLevelFolderSegment(level) {
+  const value = (level >= 1 && level <= 9) ? level : 0;
+  return { key: `level:${value}`, name: SPELL_LEVEL_FOLDERS[value] };
+}
+
+/**
+ * The folder path, below the root, where a blueprint's mirror belongs under the current scheme.
+ * Works from either the blueprint or its mirror.
+ * @param {Item} item
+ * @param {number|null} [level]
+ * @returns {{key: string, name: string}[]}
+ */
+function getMirrorFolderPath(item, level = item.getFlag(MODULE_ID, "spellLevel")) {
+  const creatorUuid = item.getFlag(MODULE_ID, "createdBy")
+    ?? (item.parent instanceof Actor ? item.parent.uuid : null)
+    ?? item.getFlag(MODULE_ID, "mirrorOf")?.split(".Item.")[0]
+    ?? "unknown";
+  const creator = { key: `creator:${creatorUuid}`, name: fromUuidSync(creatorUuid)?.name ?? "Unknown Creator" };
+  const type = { key: `type:${item.type}`, name: INNOVATION_ITEM_TYPES[item.type] ?? item.type };
+
+  switch (getFolderScheme()) {
+    case "type": return [type];
+    case "creator": return [creator];
+    case "creatorLevel": return [creator, getLevelFolderSegment(level)];
+    default: return [getLevelFolderSegment(level)];
+  }
+}
+
+/**
+ * Subfolders created up front: the Retired folder, plus every level or item type for those schemes.
+ */
+function getFixedFolderSegments() {
+  const segments = [];
+  const scheme = getFolderScheme();
+  if (scheme === "level") {
+    for (let level = 0; level < SPELL_LEVEL_FOLDERS.length; level++) segments.push(getLevelFolderSegment(level));
+  } else if (scheme === "type") {
+    for (const [type, name] of Object.entries(INNOVATION_ITEM_TYPES)) segments.push({ key: `type:${type}`, name });
+  }
+  segments.push({ key: "retired", name: RETIRED_FOLDER });
+  return segments;
+}
+
+/**
+ * The world item mirroring an actor's blueprint, if any.
+ * @param {Item} blueprint
+ * @returns {Item|null}
+ */
+function findMirror(blueprint) {
+  return game.items.find((i) => i.getFlag(MODULE_ID, "mirrorOf") === blueprint.uuid) ?? null;
+}
+
+function isMirrorItem(item) {
+  return item instanceof Item && !item.parent && Boolean(item.getFlag(MODULE_ID, "mirrorOf"));
+}
+
+function getSyncPolicy() {
+  const policy = game.settings.get(MODULE_ID, "syncPolicy");
+  return policy in SYNC_POLICIES ? policy : "gm";
+}
+
+function isSyncOperation(options) {
+  return Boolean(options?.[MODULE_ID]?.sync);
+}
+
+/**
+ * Whether an update writes this module's flags on a blueprint or codex. Every legitimate
+ * write to those goes through a GM handler, so a player making one directly is tampering.
+ * @param {Item} item
+ * @param {object} changes - Update data, flattened or not
+ */
+function touchesGuardedFlags(item, changes) {
+  if (!isEditableBlueprint(item) && !isCodexItem(item)) return false;
+  const prefix = `flags.${MODULE_ID}`;
+  return Object.keys(foundry.utils.flattenObject(changes ?? {}))
+    .some((path) => path === prefix || path === `flags.-=${MODULE_ID}` || path.startsWith(`${prefix}.`));
+}
+
+/**
+ * Every world actor, plus the synthetic actors of unlinked tokens in every scene.
+ * @returns {Actor[]}
+ */
+function getAllActors() {
+  return [
+    ...game.actors.contents,
+    ...game.scenes.contents.flatMap((scene) => scene.tokens.contents
+      .filter((token) => !token.actorLink && token.actor)
+      .map((token) => token.actor))
+  ];
+}
+
+/**
+ * Every blueprint on a world actor or an unlinked token's synthetic actor.
+ * @returns {Item[]}
+ */
+function getAllBlueprints() {
+  return getAllActors().flatMap((actor) => actor.items.filter((item) => isEditableBlueprint(item)));
+}
+
+function isCodexItem(item) {
+  if (!item) return false;
+  if (item.getFlag?.(MODULE_ID, "isCodex")) return true;
+  return item.type === "container" && item.name === CODEX_NAME;
+}
+
+function isCreateFeature(item) {
+  if (!item) return false;
+  return Boolean(item.getFlag?.(MODULE_ID, "isCreateFeature"));
+}
+
+function getSlotLevel(codex, blueprint) {
+  if (!codex || !blueprint) return null;
+  const uuidMap = codex.getFlag(MODULE_ID, "slotLevelsByUuid") ?? {};
+  const nameMap = codex.getFlag(MODULE_ID, "slotLevelsByName") ?? {};
+  const fromUuidVal = Number.parseInt(uuidMap[blueprint.uuid ?? blueprint.id], 10);
+  if (Number.isFinite(fromUuidVal) && fromUuidVal >= 1 && fromUuidVal <= 9) return fromUuidVal;
+  const fromName = Number.parseInt(nameMap[blueprint.name], 10);
+  if (Number.isFinite(fromName) && fromName >= 1 && fromName <= 9) return fromName;
+  const itemLevel = blueprint.getFlag?.(MODULE_ID, "spellLevel");
+  if (itemLevel !== null && itemLevel !== undefined) {
+    const parsed = Number.parseInt(itemLevel, 10);
+    if (Number.isFinite(parsed) && parsed >= 1 && parsed <= 9) return parsed;
+  }
+  return null;
+}
+
+/**
+ * Set the spell level for a blueprint, or null for Uncategorized. The GM checks the
+ * level rules, updates the codex and mirror, and records the change.
+ * @returns {boolean} Whether the level was changed
+ */
+async function setSlotLevelForBlueprint(codex, blueprint, level) {
+  if (!codex || !blueprint) return false;
+
+  const normalizedLevel = (level === null || level === "" || level === "0" || level === 0)
+    ? null
+    : Number.parseInt(level, 10);
+  if (normalizedLevel !== null && (!Number.isFinite(normalizedLevel) || normalizedLevel < 1 || normalizedLevel > 9)) return false;
+
+  const result = await setBlueprintLevel(blueprint.uuid, codex.uuid, normalizedLevel);
+  if (!result?.ok) ui.notifications.warn(result?.message ?? `Could not change the level of ${blueprint.name}.`);
+  return Boolean(result?.ok);
+}
+
+/**
+ * Highest level a caster may assign blueprints to under the world's level rule.
+ * @param {Actor} actor
+ * @returns {number} 0 to 9
+ */
+function getMaxInnovationLevel(actor) {
+  switch (game.settings.get(MODULE_ID, "levelRule")) {
+    case "slots": return getHighestSlotLevel(actor);
+    case "table": return getLevelTableMax(actor);
+    default: return 9;
+  }
+}
+
+/**
+ * Highest spell slot level an actor has, counting pact magic.
+ */
+function getHighestSlotLevel(actor) {
+  const spells = actor?.system?.spells ?? {};
+  let highest = 0;
+  for (let i = 1; i <= 9; i++) {
+    if ((spells[`spell${i}`]?.max ?? 0) > 0) highest = i;
+  }
+  if ((spells.pact?.max ?? 0) > 0) highest = Math.max(highest, spells.pact.level ?? 0);
+  return highest;
+}
+
+/**
+ * Parse the level table setting, e.g. "1:1, 5:2, 9:3", into rows sorted by class level.
+ * @returns {{classLevel: number, maxLevel: number}[]}
+ */
+function parseLevelTable(raw) {
+  return String(raw ?? "").split(",")
+    .map((pair) => pair.split(":").map((n) => Number.parseInt(n, 10)))
+    .filter(([classLevel, maxLevel]) => Number.isFinite(classLevel) && Number.isFinite(maxLevel))
+    .map(([classLevel, maxLevel]) => ({ classLevel, maxLevel: Math.clamp(maxLevel, 0, 9) }))
+    .sort((a, b) => a.classLevel - b.classLevel);
+}
+
+/**
+ * Maximum innovation level from the level table, using the configured class or the character level.
+ */
+function getLevelTableMax(actor) {
+  const classId = game.settings.get(MODULE_ID, "levelTableClass").trim();
+  const classLevel = classId
+    ? actor?.classes?.[classId]?.system?.levels ?? 0
+    : actor?.system?.details?.level ?? 0;
+  let maxLevel = 0;
+  for (const row of parseLevelTable(game.settings.get(MODULE_ID, "levelTable"))) {
+    if (classLevel >= row.classLevel) maxLevel = row.maxLevel;
+  }
+  return maxLevel;
+}
+
+/**
+ * Highest level a user may assign in a codex: the best of the casters they can fabricate as.
+ */
+function getCodexMaxLevel(codex, user) {
+  return Math.max(0, ...getCodexCasters(codex, user).map(getMaxInnovationLevel));
+}
+
+/**
+ * How many blueprints may sit at a level, or null for no cap.
+ * The setting is one number for every level, or a comma-separated list starting at level 1.
+ */
+function getLevelCap(level) {
+  const values = String(game.settings.get(MODULE_ID, "maxBlueprintsPerLevel") ?? "").split(",")
+    .map((v) => v.trim());
+  const raw = values.length === 1 ? values[0] : values[level - 1];
+  const cap = Number.parseInt(raw, 10);
+  return Number.isFinite(cap) && cap >= 0 ? cap : null;
+}
+
+/**
+ * Blueprints in a codex that count towards a level's cap. Exempt blueprints never count.
+ * @param {Item} codex
+ * @param {number} level
+ * @param {Item|null} [except] - A blueprint to leave out, usually the one being moved
+ */
+function countBlueprintsAtLevel(codex, level, except = null) {
+  const actor = codex?.parent;
+  if (!(actor instanceof Actor)) return 0;
+  return actor.items.filter((item) => isItemInCodex(item, codex) && item.id !== except?.id
+    && !item.getFlag(MODULE_ID, "levelExempt") && getSlotLevel(codex, item) === level).length;
+}
+
+/**
+ * Why a blueprint cannot be assigned a level, or null if it can. Moving back to Uncategorized is always allowed.
+ * @param {Item} codex
+ * @param {Item} blueprint
+ * @param {number|null} level
+ * @param {User} user - Whose casters the level limit is measured against
+ * @returns {string|null}
+ */
+function getLevelAssignmentProblem(codex, blueprint, level, user) {
+  if (level === null) return null;
+  // A blueprint can only be placed once its research is done, and no higher than it was researched for
+  const research = getResearch(blueprint);
+  if (!isResearchComplete(blueprint)) return `Finish researching ${blueprint.name} before assigning it a level.`;
+  if (research?.level && level > research.level) {
+    return `${blueprint.name} was researched for level ${research.level} and cannot go higher.`;
+  }
+  if (blueprint.getFlag(MODULE_ID, "levelExempt")) return null;
+
+  const maxLevel = getCodexMaxLevel(codex, user);
+  if (level > maxLevel) {
+    return maxLevel
+      ? `Level ${level} is above the highest innovation level available (${maxLevel}).`
+      : "None of your characters can assign innovation levels yet.";
+  }
+  const cap = getLevelCap(level);
+  if (cap !== null && countBlueprintsAtLevel(codex, level, blueprint) >= cap) {
+    return `Level ${level} already holds the maximum of ${cap} blueprints.`;
+  }
+  return null;
+}
+
+function getOwnerUsers(actor) {
+  const ownedLevel = CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER;
+  return game.users.filter((u) => !u.isGM && actor.testUserPermission(u, ownedLevel));
+}
+
+function getReviewStatus(blueprint) {
+  const status = blueprint?.getFlag?.(MODULE_ID, "reviewStatus");
+  return Object.values(REVIEW_STATUS).includes(status) ? status : REVIEW_STATUS.PENDING;
+}
+
+function getReviewLabel(status) {
+  if (status === REVIEW_STATUS.APPROVED) return "Approved";
+  if (status === REVIEW_STATUS.REJECTED) return "Rejected";
+  return "Pending Review";
+}
+
+/**
+ * Collect every blueprint in the world that a GM still has to look at.
+ * Rejected blueprints stay listed so they can be reconsidered after edits.
+ */
+function getReviewQueue() {
+  const results = [];
+  for (const actor of game.actors.contents) {
+    for (const item of actor.items.contents) {
+      if (!item.getFlag(MODULE_ID, "isInnovation")) continue;
+      const status = getReviewStatus(item);
+      if (status === REVIEW_STATUS.APPROVED) continue;
+      const level = item.getFlag(MODULE_ID, "spellLevel");
+      results.push({
+        name: item.name,
+        img: item.img,
+        uuid: item.uuid,
+        type: game.i18n.localize(CONFIG.Item.typeLabels?.[item.type] ?? item.type),
+        levelLabel: level ? `Level ${level}` : "Uncategorized",
+        suggestedLevel: item.getFlag(MODULE_ID, "suggestedLevel") ?? null,
+        templateName: item.getFlag(MODULE_ID, "templateName") ?? "",
+        actorName: actor.name,
+        actorImg: actor.img,
+        status,
+        statusLabel: getReviewLabel(status),
+        isRejected: status === REVIEW_STATUS.REJECTED,
+        note: item.getFlag(MODULE_ID, "reviewNote") ?? ""
+      });
+    }
+  }
+  return results.sort((a, b) => a.actorName.localeCompare(b.actorName) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Options for a level select.
+ * @param {number|null} selectedLevel
+ * @param {Function|null} [getProblem] - Given a level, why it cannot be chosen; those options are disabled
+ */
+function buildSlotOptions(selectedLevel, getProblem = null) {
+  const options = [{
+    value: "0",
+    label: "Uncategorized",
+    selected: selectedLevel === null || selectedLevel === 0 || selectedLevel === undefined
+  }];
+  for (let i = 1; i <= 9; i++) {
+    const selected = i === selectedLevel;
+    const problem = selected ? null : getProblem?.(i) ?? null;
+    options.push({ value: String(i), label: `${i}`, selected, disabled: Boolean(problem), hint: problem ?? "" });
+  }
+  return options;
+}
+
+function getTargetActors(user) {
+  const actors = new Map();
+  const ownedLevel = CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER;
+  const mode = getTargetMode();
+
+  if (mode === "pcs") {
+    for (const actor of game.actors.contents) {
+      if (actor.type === "character") actors.set(actor.uuid, actor);
+    }
+  } else if (mode === "owned") {
+    for (const actor of game.actors.contents) {
+      if (user.isGM || actor.testUserPermission(user, ownedLevel)) {
+        actors.set(actor.uuid, actor);
+      }
+    }
+  } else if (mode === "tokens" && canvas?.ready) {
+    // Unlinked tokens contribute their synthetic actors
+    for (const token of canvas.tokens.placeables) {
+      if (token.actor) actors.set(token.actor.uuid, token.actor);
+    }
+  }
+
+  const allowedNames = getAllowedActorNames();
+  if (allowedNames.length) {
+    for (const actor of game.actors.contents) {
+      if (!allowedNames.includes(actor.name.toLowerCase())) continue;
+      if (user.isGM || actor.testUserPermission(user, ownedLevel)) {
+        actors.set(actor.uuid, actor);
+      }
+    }
+  }
+
+  // The user's current targets are always offered, and listed first
+  const targeted = new Set();
+  for (const token of user.targets ?? []) {
+    if (!token.actor) continue;
+    actors.set(token.actor.uuid, token.actor);
+    targeted.add(token.actor.uuid);
+  }
+
+  return Array.from(actors.values())
+    .sort((a, b) => (targeted.has(b.uuid) - targeted.has(a.uuid)) || a.name.localeCompare(b.name))
+    .map((actor) => ({ name: actor.name, img: actor.img, uuid: actor.uuid, isTargeted: targeted.has(actor.uuid) }));
+}
+
+/**
+ * An actor's tokens in every scene. Read from the scene documents rather than the
+ * canvas, so the GM can measure a scene they are not viewing.
+ * @param {Actor} actor
+ * @returns {TokenDocument[]}
+ */
+function getActorTokenDocuments(actor) {
+  if (!actor) return [];
+  if (actor.isToken) return actor.token ? [actor.token] : [];
+  return game.scenes.contents.flatMap((scene) => scene.tokens.filter((t) => t.actorLink && t.actorId === actor.id));
+}
+
+/** The center of a token document, in its scene's pixel coordinates. */
+function getTokenCenter(token) {
+  const size = token.parent.grid.size;
+  return { x: token.x + (token.width * size) / 2, y: token.y + (token.height * size) / 2 };
+}
+
+function getBlueprintRange(blueprint) {
+  const range = Number.parseInt(blueprint?.getFlag?.(MODULE_ID, "range"), 10);
+  return Number.isFinite(range) && range > 0 ? range : 0;
+}
+
+/**
+ * Whether a target is within a blueprint's range of the codex owner, measured
+ * between their tokens. Unlimited range and self-targeting always pass;
+ * otherwise both actors need a token on the same scene.
+ * @param {Actor} ownerActor
+ * @param {Actor} targetActor
+ * @param {number} range - In scene distance units; 0 for unlimited
+ */
+function isTargetInRange(ownerActor, targetActor, range) {
+  if (!range || ownerActor?.uuid === targetActor?.uuid) return true;
+  const targetTokens = getActorTokenDocuments(targetActor);
+  return getActorTokenDocuments(ownerActor).some((from) => targetTokens.some((to) => to.parent === from.parent
+    && from.parent.grid.measurePath([getTokenCenter(from), getTokenCenter(to)]).distance <= range));
+}
+
+function getAllowedActorNames() {
+  const raw = game.settings.get(MODULE_ID, "allowedActorNames");
+  if (!raw) return [];
+  return raw.split(",").map((n) => n.trim().toLowerCase()).filter((n) => n.length > 0);
+}
+
+function getTargetMode() {
+  return game.settings.get(MODULE_ID, "targetMode") || "pcs";
+}
+
+/**
+ * Blueprint templates from the world (items flagged isTemplate) and the module's compendium.
+ * @returns {Promise<{uuid: string, name: string, type: string, suggestedLevel: number|null, source: string}[]>}
+ */
+async function getInnovationTemplates() {
+  const templates = game.items
+    .filter((i) => i.getFlag(MODULE_ID, "isTemplate") && i.type in INNOVATION_ITEM_TYPES)
+    .map((i) => ({
+      uuid: i.uuid,
+      name: i.name,
+      type: i.type,
+      suggestedLevel: i.getFlag(MODULE_ID, "suggestedLevel") ?? null,
+      source: "world"
+    }));
+
+  const pack = game.packs.get(`${MODULE_ID}.${TEMPLATE_PACK}`);
+  if (pack?.testUserPermission(game.user, "OBSERVER")) {
+    const index = await pack.getIndex({ fields: [`flags.${MODULE_ID}.suggestedLevel`] });
+    for (const entry of index) {
+      if (!(entry.type in INNOVATION_ITEM_TYPES)) continue;
+      templates.push({
+        uuid: entry.uuid ?? `Compendium.${pack.collection}.Item.${entry._id}`,
+        name: entry.name,
+        type: entry.type,
+        suggestedLevel: foundry.utils.getProperty(entry, `flags.${MODULE_ID}.suggestedLevel`) ?? null,
+        source: "module"
+      });
+    }
+  }
+
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Read the drag payload from a drop event.
+ */
+function getDragEventData(event) {
+  const editor = foundry.applications?.ux?.TextEditor?.implementation ?? TextEditor;
+  return editor.getDragEventData(event);
+}
+
+function getLedgerSize() {
+  const value = Number.parseInt(game.settings.get(MODULE_ID, "ledgerSize"), 10);
+  return Number.isFinite(value) ? value : 200;
+}
+
+/**
+ * A codex's ledger, newest first, narrowed by action and target actor.
+ * @param {Item} codex
+ * @param {{action?: string, target?: string}} [filter]
+ */
+function getLedgerEntries(codex, { action = "", target = "" } = {}) {
+  const ledger = codex?.getFlag?.(MODULE_ID, "ledger") ?? [];
+  return ledger
+    .filter((e) => (!action || e.action === action) && (!target || e.targetUuid === target))
+    .reverse()
+    .map((e) => ({
+      ...e,
+      actionLabel: LEDGER_ACTIONS[e.action] ?? e.action,
+      dateLabel: new Date(e.timestamp).toLocaleString()
+    }));
+}
+
+function getLedgerTargets(codex) {
+  const targets = new Map();
+  for (const entry of codex?.getFlag?.(MODULE_ID, "ledger") ?? []) {
+    if (entry.targetUuid) targets.set(entry.targetUuid, entry.targetName);
+  }
+  return Array.from(targets, ([uuid, name]) => ({ uuid, name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getIconSize() {
+  const raw = game.settings.get(MODULE_ID, "iconSize");
+  const value = Number.parseInt(raw, 10);
+  return Number.isFinite(value) ? value : 64;
+}
+
+function getPortraitSize() {
+  const raw = game.settings.get(MODULE_ID, "portraitSize");
+  const value = Number.parseInt(raw, 10);
+  return Number.isFinite(value) ? value : 48;
+}
+
+function getBlueprintItems(actor, codex, targets = [], caster = actor) {
+  const targetActors = new Map(targets.map((t) => [t.uuid, fromUuidSync(t.uuid)]));
+  const copies = getCodexFabrications(codex.uuid);
+  return actor.items
+    .filter((item) => isItemInCodex(item, codex))
+    .map((item) => {
+      const level = getSlotLevel(codex, item);
+      const range = getBlueprintRange(item);
+      const rowTargets = targets.map((t) => ({
+        ...t,
+        inRange: isTargetInRange(caster, targetActors.get(t.uuid), range)
+      }));
+      const defaultTarget = rowTargets.find((t) => t.isTargeted && t.inRange)
+        ?? rowTargets.find((t) => t.inRange)
+        ?? null;
+      if (defaultTarget) defaultTarget.selected = true;
+      const reviewStatus = getReviewStatus(item);
+      const isApproved = reviewStatus === REVIEW_STATUS.APPROVED;
+      const hasLevel = level !== null && level >= 1 && level <= 9;
+      const isResearching = !isResearchComplete(item);
+      const research = describeResearch(item);
+      let fabricateHint = "";
+      if (!isApproved) fabricateHint = "Awaiting GM approval";
+      else if (isResearching) fabricateHint = `Research in progress (${research.remaining} left)`;
+      else if (!hasLevel) fabricateHint = "Assign a spell level before fabricating";
+      return {
+        name: item.name,
+        img: item.img,
+        uuid: item.uuid,
+        slotLevel: level,
+        reviewStatus,
+        reviewLabel: getReviewLabel(reviewStatus),
+        reviewNote: item.getFlag(MODULE_ID, "reviewNote") ?? "",
+        templateName: item.getFlag(MODULE_ID, "templateName") ?? "",
+        contributorName: isPartyCodex(codex) ? item.getFlag(MODULE_ID, "contributorName") ?? "" : "",
+        suggestedLevel: item.getFlag(MODULE_ID, "suggestedLevel") ?? null,
+        provenance: describeProvenance(item),
+        isApproved,
+        isResearching,
+        canLogResearch: isResearching && !game.settings.get(MODULE_ID, "researchWorldTime"),
+        research,
+        canFabricate: hasLevel && isApproved && !isResearching,
+        fabricateHint,
+        slotOptions: buildSlotOptions(level, (l) => getLevelAssignmentProblem(codex, item, l, game.user)),
+        version: getBlueprintVersion(item),
+        outdatedCount: copies.filter((c) => c.getFlag(MODULE_ID, "blueprintUuid") === item.uuid
+          && c.getFlag(MODULE_ID, "blueprintVersion") !== getBlueprintVersion(item)).length,
+        rangeLabel: RANGE_PRESETS[range] ?? `${range} ft`,
+        hasRange: range > 0,
+        targets: rowTargets,
+        defaultTarget,
+        hasTargetsInRange: Boolean(defaultTarget)
+      };
+    });
+}
+
+function getBlueprintDuration(blueprint) {
+  const duration = blueprint?.getFlag?.(MODULE_ID, "duration") ?? {};
+  const mode = duration.mode in DURATION_MODES ? duration.mode : "none";
+  const value = Number.parseInt(duration.value, 10);
+  return { mode, value: Number.isFinite(value) && value > 0 ? value : 1 };
+}
+
+/**
+ * Turn a blueprint's duration into the expiry record stored on a fabricated copy.
+ * Rounds are tied to the active combat; outside combat they fall back to world time.
+ */
+function buildExpiry(duration) {
+  const { mode, value } = duration;
+  if (mode === "hours") {
+    return { mode, expiresAt: game.time.worldTime + (value * 3600) };
+  }
+  if (mode === "rounds") {
+    const combat = game.combat;
+    if (combat?.started) {
+      return { mode, combatId: combat.id, expiresRound: combat.round + value };
+    }
+    return { mode, expiresAt: game.time.worldTime + (value * (CONFIG.time.roundTime ?? 6)) };
+  }
+  return { mode };
+}
+
+function describeExpiry(item) {
+  const expiry = item.getFlag(MODULE_ID, "expiry");
+  if (!expiry || !(expiry.mode in DURATION_MODES) || expiry.mode === "none") return DURATION_MODES.none;
+  if (expiry.mode === "longRest" || expiry.mode === "shortRest") return DURATION_MODES[expiry.mode];
+
+  if (expiry.combatId) {
+    const combat = game.combats.get(expiry.combatId);
+    const left = Math.max((expiry.expiresRound ?? 0) - (combat?.round ?? 0), 0);
+    return `${left} ${left === 1 ? "round" : "rounds"} left`;
+  }
+
+  const seconds = Math.max((expiry.expiresAt ?? 0) - game.time.worldTime, 0);
+  if (expiry.mode === "rounds") {
+    const rounds = Math.ceil(seconds / (CONFIG.time.roundTime ?? 6));
+    return `${rounds} ${rounds === 1 ? "round" : "rounds"} left`;
+  }
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.ceil((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m left` : `${minutes}m left`;
+}
+
+/**
+ * UUIDs of fabricated items, keyed by the originUuid of the codex that made them.
+ * Built on ready and kept current by the item, actor, token and scene hooks.
+ * @type {Map<string, Set<string>>|null}
+ */
+let fabricationIndex = null;
+
+/** originUuid each indexed item was filed under, so moves and deletions find it again. */
+const fabricationOrigins = new Map();
+
+/** Codexes whose windows need a render once the index settles. */
+const pendingIndexOrigins = new Set();
+
+const refreshIndexedApps = foundry.utils.debounce(() => {
+  for (const app of foundry.applications.instances.values()) {
+    if (!app.rendered) continue;
+    if (app instanceof InnovationsDashboardApp
+      || (app instanceof InnovationsCodexApp && pendingIndexOrigins.has(app.codex?.uuid))) app.render();
+  }
+  pendingIndexOrigins.clear();
+}, 100);
+
+/**
+ * Rebuild the fabricated item index from every actor, including synthetic token actors.
+ */
+function buildFabricationIndex() {
+  for (const origin of fabricationIndex?.keys() ?? []) pendingIndexOrigins.add(origin);
+  fabricationIndex = new Map();
+  fabricationOrigins.clear();
+  for (const actor of getAllActors()) {
+    for (const item of actor.items.contents) indexFabricatedItem(item);
+  }
+}
+
+/**
+ * File an item under its originUuid, or drop it from the index if it is no longer a fabricated copy.
+ * @param {Item} item
+ */
+function indexFabricatedItem(item) {
+  if (!fabricationIndex || !(item?.parent instanceof Actor)) return;
+  const originUuid = item.getFlag(MODULE_ID, "isTemporary") ? item.getFlag(MODULE_ID, "originUuid") ?? "" : null;
+  const previous = fabricationOrigins.get(item.uuid);
+  if (previous !== undefined && previous !== originUuid) unindexFabricatedUuid(item.uuid);
+  if (originUuid === null) return;
+  if (!fabricationIndex.has(originUuid)) fabricationIndex.set(originUuid, new Set());
+  fabricationIndex.get(originUuid).add(item.uuid);
+  fabricationOrigins.set(item.uuid, originUuid);
+  pendingIndexOrigins.add(originUuid);
+  refreshIndexedApps();
+}
+
+/**
+ * @param {string} uuid - Of the item to drop from the index
+ */
+function unindexFabricatedUuid(uuid) {
+  const originUuid = fabricationOrigins.get(uuid);
+  if (originUuid === undefined) return;
+  fabricationIndex?.get(originUuid)?.delete(uuid);
+  if (!fabricationIndex?.get(originUuid)?.size) fabricationIndex?.delete(originUuid);
+  fabricationOrigins.delete(uuid);
+  pendingIndexOrigins.add(originUuid);
+  refreshIndexedApps();
+}
+
+/**
+ * Drop every indexed item held under a document, such as a deleted actor, token or scene.
+ * @param {string} parentUuid
+ */
+function unindexFabricationsUnder(parentUuid) {
+  const prefix = `${parentUuid}.`;
+  for (const uuid of Array.from(fabricationOrigins.keys())) {
+    if (uuid.startsWith(prefix)) unindexFabricatedUuid(uuid);
+  }
+}
+
+/**
+ * @param {Actor|null} actor - A world actor or an unlinked token's synthetic actor
+ */
+function indexActorFabrications(actor) {
+  for (const item of actor?.items?.contents ?? []) indexFabricatedItem(item);
+}
+
+/**
+ * Re-file a token's items; a linked token's belong to its world actor and are indexed there.
+ * @param {TokenDocument} token
+ */
+function reindexTokenFabrications(token) {
+  unindexFabricationsUnder(token.uuid);
+  if (!token.actorLink) indexActorFabrications(token.actor);
+}
+
+/**
+ * Resolve indexed UUIDs to items, skipping any that disappeared without a hook.
+ * @param {Iterable<string>} uuids
+ * @returns {Item[]}
+ */
+function resolveIndexedItems(uuids) {
+  return Array.from(uuids, (uuid) => fromUuidSync(uuid))
+    .filter((item) => item instanceof Item && item.getFlag(MODULE_ID, "isTemporary"));
+}
+
+/**
+ * Every fabricated item held by a world actor or an unlinked token's synthetic actor.
+ */
+function getFabricatedItems() {
+  if (!fabricationIndex) buildFabricationIndex();
+  return resolveIndexedItems(fabricationOrigins.keys());
+}
+
+/**
+ * Read a Dialog's form into an expanded object.
+ */
+function readDialogForm(html) {
+  const form = html[0]?.querySelector("form") ?? html.querySelector?.("form");
+  if (!form) return null;
+  return foundry.utils.expandObject(Object.fromEntries(new FormData(form)));
+}
+
+function buildBlueprintConfigContext(blueprint) {
+  const duration = getBlueprintDuration(blueprint);
+  const cost = blueprint.getFlag(MODULE_ID, "cost") ?? {};
+  const slotMode = cost.slot in SLOT_COST_MODES ? cost.slot : "standard";
+  return {
+    isGM: game.user.isGM,
+    levelExempt: Boolean(blueprint.getFlag(MODULE_ID, "levelExempt")),
+    ...buildMalfunctionConfigContext(blueprint),
+    copyUsesMax: blueprint.getFlag(MODULE_ID, "copyUses")?.max ?? 0,
+    copyRecovery: Object.entries(COPY_RECOVERY)
+      .map(([value, label]) => ({ value, label, selected: value === (blueprint.getFlag(MODULE_ID, "copyUses")?.recovery ?? "none") })),
+    refundPolicies: Object.entries(REFUND_POLICIES)
+      .map(([value, label]) => ({ value, label, selected: value === (blueprint.getFlag(MODULE_ID, "refund") ?? "none") })),
+    effects: blueprint.effects.map((e) => ({
+      id: e.id,
+      name: e.name,
+      img: e.img,
+      checked: getRecipientEffectIds(blueprint).includes(e.id)
+    })),
+    durationModes: Object.entries(DURATION_MODES)
+      .map(([value, label]) => ({ value, label, selected: value === duration.mode })),
+    durationValue: duration.value,
+    slotModes: Object.entries(SLOT_COST_MODES)
+      .map(([value, label]) => ({ value, label, selected: value === slotMode })),
+    usesItemName: cost.uses?.itemName ?? "",
+    usesAmount: cost.uses?.amount ?? 0,
+    resourceKeys: [{ value: "", label: "None", selected: !(cost.resource?.key in RESOURCE_KEYS) }]
+      .concat(Object.entries(RESOURCE_KEYS)
+        .map(([value, label]) => ({ value, label, selected: value === cost.resource?.key }))),
+    resourceAmount: cost.resource?.amount ?? 0,
+    currencyAmount: cost.currency?.amount ?? 0,
+    denominations: CURRENCY_DENOMINATIONS
+      .map((value) => ({ value, label: value, selected: value === (cost.currency?.denomination ?? "gp") })),
+    materials: formatMaterials(parseMaterials(cost.materials)),
+    scaling: foundry.utils.mergeObject({ dice: 0, uses: 0, bonus: 0 }, blueprint.getFlag(MODULE_ID, "scaling") ?? {}),
+    ranges: Object.entries(RANGE_PRESETS)
+      .map(([value, label]) => ({ value, label, selected: Number(value) === getBlueprintRange(blueprint) }))
+  };
+}
+
+/**
+ * Template context for the GM-only malfunction fields of the blueprint settings form.
+ * @param {Item} blueprint
+ */
+function buildMalfunctionConfigContext(blueprint) {
+  const malfunction = blueprint.getFlag(MODULE_ID, "malfunction") ?? {};
+  return {
+    malfunctionModes: Object.entries(MALFUNCTION_MODES)
+      .map(([value, label]) => ({ value, label, selected: value === (malfunction.mode ?? "none") })),
+    malfunctionOutcomes: Object.entries(MALFUNCTION_OUTCOMES)
+      .map(([value, label]) => ({ value, label, selected: value === (malfunction.outcome ?? "charge") })),
+    malfunctionTables: game.tables.map((t) => ({ value: t.uuid, label: t.name, selected: t.uuid === malfunction.tableUuid })),
+    malfunctionChance: malfunction.chance ?? 10,
+    malfunctionAbility: malfunction.ability ?? "int",
+    malfunctionDC: malfunction.dc ?? 10
+  };
+}
+
+/**
+ * Read the GM-only malfunction fields of the blueprint settings form.
+ * @param {object} [data] - The form's malfunction group
+ */
+function parseMalfunctionConfig(data = {}) {
+  return {
+    mode: data.mode in MALFUNCTION_MODES ? data.mode : "none",
+    chance: Math.clamp(Number.parseInt(data.chance, 10) || 0, 0, 100),
+    ability: String(data.ability ?? "int").trim() || "int",
+    dc: Math.max(Number.parseInt(data.dc, 10) || 0, 0),
+    outcome: data.outcome in MALFUNCTION_OUTCOMES ? data.outcome : "charge",
+    tableUuid: data.tableUuid || null
+  };
+}
+
+/**
+ * Convert the submitted blueprint settings form into flag values, keyed by flag.
+ */
+function parseBlueprintConfig(formData) {
+  const mode = formData.duration?.mode in DURATION_MODES ? formData.duration.mode : "none";
+  const value = Number.parseInt(formData.duration?.value, 10);
+  const cost = formData.cost ?? {};
+  const toAmount = (raw) => Math.max(Number.parseInt(raw, 10) || 0, 0);
+  return {
+    duration: { mode, value: Number.isFinite(value) && value > 0 ? value : 1 },
+    cost: {
+      slot: cost.slot in SLOT_COST_MODES ? cost.slot : "standard",
+      uses: { itemName: cost.uses?.itemName?.trim() ?? "", amount: toAmount(cost.uses?.amount) },
+      resource: { key: cost.resource?.key in RESOURCE_KEYS ? cost.resource.key : "", amount: toAmount(cost.resource?.amount) },
+      currency: {
+        denomination: CURRENCY_DENOMINATIONS.includes(cost.currency?.denomination) ? cost.currency.denomination : "gp",
+        amount: toAmount(cost.currency?.amount)
+      },
+      materials: formatMaterials(parseMaterials(cost.materials))
+    },
+    scaling: {
+      dice: toAmount(formData.scaling?.dice),
+      uses: toAmount(formData.scaling?.uses),
+      bonus: toAmount(formData.scaling?.bonus)
+    },
+    range: toAmount(formData.range),
+    recipientEffects: Object.entries(formData.recipientEffects ?? {}).filter(([, on]) => on).map(([id]) => id),
+    refund: formData.refund in REFUND_POLICIES ? formData.refund : "none",
+    copyUses: {
+      max: toAmount(formData.copyUses?.max),
+      recovery: formData.copyUses?.recovery in COPY_RECOVERY ? formData.copyUses.recovery : "none"
+    }
+  };
+}
+
+/**
+ * Fabricated copies made from one codex, oldest first.
+ * @param {string} codexUuid
+ * @returns {Item[]}
+ */
+function getCodexFabrications(codexUuid) {
+  if (!fabricationIndex) buildFabricationIndex();
+  return resolveIndexedItems(fabricationIndex.get(codexUuid) ?? [])
+    .sort((a, b) => (a.getFlag(MODULE_ID, "createdAt") ?? 0) - (b.getFlag(MODULE_ID, "createdAt") ?? 0));
+}
+
+/**
+ * Maximum number of simultaneous fabrications for an actor's codex, or null if unlimited.
+ * The actor's own override flag wins over the world setting. Both accept roll-data formulas.
+ * @param {Actor} actor
+ * @returns {number|null}
+ */
+function getActiveLimit(actor) {
+  const override = actor?.getFlag?.(MODULE_ID, "maxActiveInnovations");
+  const formula = String(override || game.settings.get(MODULE_ID, "maxActiveInnovations") || "").trim();
+  if (!formula) return null;
+  try {
+    const expression = Roll.replaceFormulaData(formula, actor?.getRollData?.() ?? {}, { missing: "0" });
+    const value = Math.floor(Number(Roll.safeEval(expression)));
+    return Number.isFinite(value) ? Math.max(value, 0) : null;
+  } catch (err) {
+    console.warn(`${MODULE_ID} | Could not evaluate active innovation limit "${formula}":`, err);
+    return null;
+  }
+}
+
+/**
+ * Normalized list of everything a blueprint costs to fabricate at a given slot level.
+ * Blueprints without a cost flag cost one spell slot of their level.
+ * @param {Item} blueprint
+ * @param {number} slotLevel - Level of the slot being spent
+ * @param {object} [options]
+ * @param {boolean} [options.usePact] - Spend a pact magic slot instead of a regular one
+ * @returns {object[]}
+ */
+function getFabricationCosts(blueprint, slotLevel, { usePact = false } = {}) {
+  const cost = blueprint?.getFlag?.(MODULE_ID, "cost") ?? {};
+  const costs = [];
+
+  const slotMode = getSlotCostMode(blueprint);
+  if (slotMode === "pact" || (slotMode === "standard" && usePact)) costs.push({ type: "pact", level: slotLevel });
+  else if (slotMode === "standard") costs.push({ type: "slot", level: slotLevel });
+
+  const usesAmount = Number.parseInt(cost.uses?.amount, 10);
+  if (cost.uses?.itemName && usesAmount > 0) {
+    costs.push({ type: "uses", itemName: cost.uses.itemName, amount: usesAmount });
+  }
+
+  const resourceAmount = Number.parseInt(cost.resource?.amount, 10);
+  if (cost.resource?.key in RESOURCE_KEYS && resourceAmount > 0) {
+    costs.push({ type: "resource", key: cost.resource.key, amount: resourceAmount });
+  }
+
+  const currencyAmount = Number.parseInt(cost.currency?.amount, 10);
+  if (CURRENCY_DENOMINATIONS.includes(cost.currency?.denomination) && currencyAmount > 0) {
+    costs.push({ type: "currency", denomination: cost.currency.denomination, amount: currencyAmount });
+  }
+
+  for (const material of parseMaterials(cost.materials)) {
+    costs.push({ type: "material", ...material });
+  }
+  return costs;
+}
+
+function getSlotCostMode(blueprint) {
+  const slot = blueprint?.getFlag?.(MODULE_ID, "cost")?.slot;
+  return slot in SLOT_COST_MODES ? slot : "standard";
+}
+
+/**
+ * Slots an actor could spend to fabricate a blueprint: every level at or above
+ * the blueprint's that has slots left, plus pact magic slots where allowed.
+ * @param {Actor} actor
+ * @param {Item} blueprint
+ * @param {number} baseLevel
+ * @returns {{value: string, label: string, level: number, pact: boolean}[]}
+ */
+function getCastLevelOptions(actor, blueprint, baseLevel) {
+  const mode = getSlotCostMode(blueprint);
+  const options = [];
+  if (mode === "standard") {
+    for (let level = baseLevel; level <= 9; level++) {
+      const value = actor.system?.spells?.[`spell${level}`]?.value;
+      if (Number.isFinite(value) && value > 0) {
+        options.push({ value: String(level), label: `Level ${level} (${value} left)`, level, pact: false });
+      }
+    }
+  }
+  if (mode === "standard" || mode === "pact") {
+    const pact = actor.system?.spells?.pact;
+    if (pact?.value > 0 && (pact.level ?? 0) >= baseLevel) {
+      options.push({ value: "pact", label: `Pact Magic, level ${pact.level} (${pact.value} left)`, level: pact.level, pact: true });
+    }
+  }
+  return options;
+}
+
+/**
+ * Build the item data for a fabricated copy of a blueprint.
+ * Expiry and creation time are left to the caller.
+ * @param {Item} blueprint
+ * @param {string} codexUuid
+ * @param {object} levels
+ * @param {number} levels.baseLevel - The blueprint's level in the codex
+ * @param {number} levels.castLevel - The slot level spent
+ * @returns {object}
+ */
+function buildFabricatedData(blueprint, codexUuid, { baseLevel, castLevel }) {
+  const itemData = blueprint.toObject();
+  delete itemData._id;
+  delete itemData.flags[MODULE_ID].versions;
+  delete itemData.flags[MODULE_ID].research;
+  // Effects for the recipient go on the holder instead of riding on the copy
+  const recipientIds = getRecipientEffectIds(blueprint);
+  itemData.effects = (itemData.effects ?? []).filter((e) => !recipientIds.includes(e._id));
+  foundry.utils.setProperty(itemData, "system.container", null);
+  foundry.utils.setProperty(itemData, "system.containerId", null);
+  itemData.name = `Temporary ${blueprint.name}`;
+  foundry.utils.setProperty(itemData, `flags.${MODULE_ID}.originUuid`, codexUuid);
+  foundry.utils.setProperty(itemData, `flags.${MODULE_ID}.blueprintUuid`, blueprint.uuid);
+  foundry.utils.setProperty(itemData, `flags.${MODULE_ID}.blueprintVersion`, getBlueprintVersion(blueprint));
+  foundry.utils.setProperty(itemData, `flags.${MODULE_ID}.isTemporary`, true);
+  foundry.utils.setProperty(itemData, `flags.${MODULE_ID}.baseLevel`, baseLevel);
+  foundry.utils.setProperty(itemData, `flags.${MODULE_ID}.spentSlotLevel`, castLevel);
+  // The blueprint's copy charges replace whatever uses the blueprint item itself has
+  const copyUses = getCopyUses(blueprint);
+  if (copyUses) {
+    foundry.utils.setProperty(itemData, "system.uses", {
+      max: String(copyUses.max),
+      spent: 0,
+      recovery: copyUses.recovery in COPY_RECOVERY && copyUses.recovery !== "none"
+        ? [{ period: copyUses.recovery, type: "recoverAll" }]
+        : []
+    });
+  }
+  applyUpcastScaling(itemData, blueprint.getFlag(MODULE_ID, "scaling"), castLevel - baseLevel);
+  return itemData;
+}
+
+/**
+ * Apply a blueprint's upcast scaling to fabricated item data in place.
+ * @param {object} itemData - Serialized item data for the fabricated copy
+ * @param {object} scaling - { dice, uses, bonus } added per level above the base
+ * @param {number} levelsAbove - How many levels above the blueprint's level were spent
+ */
+function applyUpcastScaling(itemData, scaling, levelsAbove) {
+  if (!scaling || levelsAbove <= 0) return;
+  const dice = (Number.parseInt(scaling.dice, 10) || 0) * levelsAbove;
+  const uses = (Number.parseInt(scaling.uses, 10) || 0) * levelsAbove;
+  const bonus = (Number.parseInt(scaling.bonus, 10) || 0) * levelsAbove;
+
+  if (dice) {
+    const base = itemData.system?.damage?.base;
+    if (base && Number.isFinite(base.number) && base.denomination) base.number += dice;
+    for (const activity of Object.values(itemData.system?.activities ?? {})) {
+      const part = activity.damage?.parts?.find((p) => Number.isFinite(p.number) && p.denomination);
+      if (part) part.number += dice;
+    }
+  }
+
+  if (uses) {
+    const max = itemData.system?.uses?.max;
+    foundry.utils.setProperty(itemData, "system.uses.max", max ? `${max} + ${uses}` : String(uses));
+  }
+
+  if (bonus) {
+    const path = itemData.type === "equipment" ? "system.armor.magicalBonus" : "system.magicalBonus";
+    const current = Number(foundry.utils.getProperty(itemData, path)) || 0;
+    foundry.utils.setProperty(itemData, path, current + bonus);
+  }
+}
+
+/**
+ * Parse a material list such as "Iron Ingot x2, Copper Wire".
+ * @param {string} raw
+ * @returns {{itemName: string, quantity: number}[]}
+ */
+function parseMaterials(raw) {
+  if (!raw) return [];
+  return String(raw).split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0)
+    .map((entry) => {
+      const match = entry.match(/^(.*?)\s+x\s*(\d+)$/i);
+      return match
+        ? { itemName: match[1].trim(), quantity: Math.max(Number.parseInt(match[2], 10), 1) }
+        : { itemName: entry, quantity: 1 };
+    });
+}
+
+function formatMaterials(materials) {
+  return materials.map((m) => (m.quantity > 1 ? `${m.itemName} x${m.quantity}` : m.itemName)).join(", ");
+}
+
+function findActorItemByName(actor, name) {
+  const lower = String(name).toLowerCase();
+  return actor.items.find((i) => i.name.toLowerCase() === lower && !i.getFlag(MODULE_ID, "isTemporary")) ?? null;
+}
+
+function describeCost(cost) {
+  switch (cost.type) {
+    case "slot": return `Level ${cost.level} spell slot`;
+    case "pact": return `Pact magic slot (level ${cost.level} or higher)`;
+    case "uses": return `${cost.amount} ${cost.amount === 1 ? "use" : "uses"} of ${cost.itemName}`;
+    case "resource": return `${cost.amount} ${RESOURCE_KEYS[cost.key]}`;
+    case "currency": return `${cost.amount} ${cost.denomination}`;
+    case "material": return `${cost.itemName} x${cost.quantity}`;
+    default: return cost.type;
+  }
+}
+
+/**
+ * Check whether an actor can pay every cost.
+ * @param {Actor} actor
+ * @param {object[]} costs
+ * @returns {string[]} Problems, one per unaffordable cost. Empty if all can be paid.
+ */
+function checkFabricationCosts(actor, costs) {
+  const problems = [];
+  for (const cost of costs) {
+    switch (cost.type) {
+      case "slot": {
+        const value = foundry.utils.getProperty(actor, `system.spells.spell${cost.level}.value`);
+        if (!Number.isFinite(value) || value <= 0) problems.push(`No level ${cost.level} spell slots available.`);
+        break;
+      }
+      case "pact": {
+        const pact = actor.system?.spells?.pact;
+        if (!pact || !(pact.value > 0)) problems.push("No pact magic slots available.");
+        else if ((pact.level ?? 0) < cost.level) problems.push(`Pact magic slots are below level ${cost.level}.`);
+        break;
+      }
+      case "uses": {
+        const item = findActorItemByName(actor, cost.itemName);
+        const value = item?.system?.uses?.value;
+        if (!item) problems.push(`${cost.itemName} not found.`);
+        else if (!Number.isFinite(value) || value < cost.amount) problems.push(`${cost.itemName} has only ${value ?? 0} uses left.`);
+        break;
+      }
+      case "resource": {
+        const value = actor.system?.resources?.[cost.key]?.value;
+        if (!Number.isFinite(value) || value < cost.amount) problems.push(`Not enough ${RESOURCE_KEYS[cost.key]} (${value ?? 0} left).`);
+        break;
+      }
+      case "currency": {
+        const value = actor.system?.currency?.[cost.denomination] ?? 0;
+        if (value < cost.amount) problems.push(`Not enough ${cost.denomination} (${value} available).`);
+        break;
+      }
+      case "material": {
+        const item = findActorItemByName(actor, cost.itemName);
+        const quantity = item?.system?.quantity ?? 0;
+        if (quantity < cost.quantity) problems.push(`Needs ${cost.itemName} x${cost.quantity} (${quantity} on hand).`);
+        break;
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Work out the writes that deduct every cost from an actor. Call checkFabricationCosts first.
+ * The receipt exists before anything is written, so a payment that fails part-way can be undone.
+ * @param {Actor} actor
+ * @param {object[]} costs
+ * @returns {{actorUpdates: object, itemUpdates: object[], itemDeletes: string[], receipt: object}}
+ *   The receipt holds the values before payment, suitable for restoreFabricationCosts
+ */
+function planFabricationPayment(actor, costs) {
+  const actorUpdates = {};
+  const itemUpdates = new Map();
+  const itemDeletes = [];
+
+  for (const cost of costs) {
+    switch (cost.type) {
+      case "slot": {
+        const path = `system.spells.spell${cost.level}.value`;
+        actorUpdates[path] = foundry.utils.getProperty(actor, path) - 1;
+        break;
+      }
+      case "pact":
+        actorUpdates["system.spells.pact.value"] = actor.system.spells.pact.value - 1;
+        break;
+      case "resource": {
+        const path = `system.resources.${cost.key}.value`;
+        actorUpdates[path] = foundry.utils.getProperty(actor, path) - cost.amount;
+        break;
+      }
+      case "currency": {
+        const path = `system.currency.${cost.denomination}`;
+        actorUpdates[path] = (foundry.utils.getProperty(actor, path) ?? 0) - cost.amount;
+        break;
+      }
+      case "uses": {
+        const item = findActorItemByName(actor, cost.itemName);
+        const update = itemUpdates.get(item.id) ?? { _id: item.id };
+        update["system.uses.spent"] = (update["system.uses.spent"] ?? item.system.uses.spent ?? 0) + cost.amount;
+        itemUpdates.set(item.id, update);
+        break;
+      }
+      case "material": {
+        const item = findActorItemByName(actor, cost.itemName);
+        const update = itemUpdates.get(item.id) ?? { _id: item.id };
+        const remaining = (update["system.quantity"] ?? item.system.quantity) - cost.quantity;
+        if (remaining <= 0) {
+          itemUpdates.delete(item.id);
+          itemDeletes.push(item.id);
+        } else {
+          update["system.quantity"] = remaining;
+          itemUpdates.set(item.id, update);
+        }
+        break;
+      }
+    }
+  }
+
+  const receipt = {
+    actor: Object.fromEntries(Object.keys(actorUpdates).map((path) => [path, foundry.utils.getProperty(actor, path)])),
+    items: Array.from(itemUpdates.values()).map((update) => {
+      const item = actor.items.get(update._id);
+      return Object.fromEntries(Object.keys(update)
+        .map((key) => [key, key === "_id" ? update._id : foundry.utils.getProperty(item, key)]));
+    }),
+    deleted: itemDeletes.map((id) => actor.items.get(id).toObject())
+  };
+  return { actorUpdates, itemUpdates: Array.from(itemUpdates.values()), itemDeletes, receipt };
+}
+
+/**
+ * Make the writes of a payment plan.
+ * @param {Actor} actor
+ * @param {object} payment - From planFabricationPayment
+ * @returns {object} The payment's receipt
+ */
+async function payFabricationCosts(actor, payment) {
+  const { actorUpdates, itemUpdates, itemDeletes } = payment;
+  if (!foundry.utils.isEmpty(actorUpdates)) await actor.update(actorUpdates);
+  if (itemUpdates.length) await actor.updateEmbeddedDocuments("Item", itemUpdates);
+  if (itemDeletes.length) await actor.deleteEmbeddedDocuments("Item", itemDeletes);
+  return payment.receipt;
+}
+
+/**
+ * Put back everything recorded in a payment receipt.
+ * @param {Actor} actor
+ * @param {{actor: object, items: object[], deleted: object[]}} receipt
+ */
+async function restoreFabricationCosts(actor, receipt) {
+  if (!foundry.utils.isEmpty(receipt.actor)) await actor.update(receipt.actor);
+  const updates = receipt.items.filter((update) => actor.items.has(update._id));
+  if (updates.length) await actor.updateEmbeddedDocuments("Item", updates);
+  const missing = receipt.deleted.filter((data) => !actor.items.has(data._id));
+  if (missing.length) await actor.createEmbeddedDocuments("Item", missing, { keepId: true });
+}
+
+function isActiveGM() {
+  return game.user.isGM && (game.users.activeGM?.id ?? game.user.id) === game.user.id;
+}
+
+/**
+ * Whether an item is a blueprint on an actor, as opposed to a fabricated copy or a world mirror.
+ */
+function isEditableBlueprint(item) {
+  return item instanceof Item && item.parent instanceof Actor
+    && item.getFlag(MODULE_ID, "isInnovation")
+    && !item.getFlag(MODULE_ID, "isTemporary");
+}
+
+function isItemInCodex(item, codex) {
+  const container = item?.system?.container;
+  const containerId = item?.system?.containerId;
+  return (
+    container === codex.id ||
+    container === codex.uuid ||
+    containerId === codex.id ||
+    containerId === codex.uuid
+  );
+}
+
+function getRecipientEffectIds(blueprint) {
+  const ids = blueprint?.getFlag?.(MODULE_ID, "recipientEffects");
+  return Array.isArray(ids) ? ids : [];
+}
+
+/**
+ * A blueprint's effects meant for the holder of its copies, as creation data.
+ */
+function getRecipientEffectData(blueprint) {
+  const ids = getRecipientEffectIds(blueprint);
+  return blueprint.effects.filter((e) => ids.includes(e.id)).map((effect) => {
+    const { _id, _stats, ...data } = effect.toObject();
+    return data;
+  });
+}
+
+/**
+ * Effects on an actor that were put there by a fabricated item.
+ */
+function getRecipientEffects(actor, item) {
+  return actor?.effects?.filter((e) => e.getFlag(MODULE_ID, "fabricatedItemUuid") === item.uuid) ?? [];
+}
+
+/**
+ * What _gmFabricate recorded on the codex about a fabricated item: who made it, the slot spent,
+ * the refund policy at the time and whether the copy has been used.
+ * @param {Item} item
+ * @returns {{fabricatedBy: string, spentSlot: object|null, refund: string, used: boolean, refundLapsed: boolean}|null}
+ */
+function getFabricationRecord(item) {
+  const id = item?.getFlag?.(MODULE_ID, "fabricationId");
+  const codex = fromUuidSync(item?.getFlag?.(MODULE_ID, "originUuid") ?? "");
+  if (!id || !isCodexItem(codex)) return null;
+  return codex.getFlag(MODULE_ID, "fabrications")?.[id] ?? null;
+}
+
+/**
+ * The slot a recall or dismantle would give back for a fabricated item, and who gets it, or null.
+ * Read from the codex's record, never from the copy its holder owns.
+ * @param {Item} item
+ * @returns {{type: string, level: number, casterUuid: string}|null}
+ */
+function getRefund(item) {
+  const record = getFabricationRecord(item);
+  if (!record?.spentSlot) return null;
+  const refund = { ...record.spentSlot, casterUuid: record.fabricatedBy };
+  switch (record.refund) {
+    case "slot": return refund;
+    case "unused": return record.used || record.refundLapsed ? null : refund;
+    default: return null;
+  }
+}
+
+/**
+ * Charges a blueprint gives its fabricated copies, or null to keep the item's own uses.
+ * Copies carry the same flag, so this also tells whether a copy's charges are managed.
+ * @returns {{max: number, recovery: string}|null}
+ */
+function getCopyUses(item) {
+  const copyUses = item?.getFlag?.(MODULE_ID, "copyUses");
+  return copyUses?.max > 0 ? copyUses : null;
+}
+
+/**
+ * An item's malfunction settings, or null if it never malfunctions.
+ * @returns {{mode: string, chance: number, ability: string, dc: number, outcome: string, tableUuid: string}|null}
+ */
+function getMalfunction(item) {
+  const malfunction = item?.getFlag?.(MODULE_ID, "malfunction");
+  if (!(malfunction?.mode in MALFUNCTION_MODES) || malfunction.mode === "none") return null;
+  return malfunction;
+}
+
+function requiresAttunement(item) {
+  return item?.system?.attunement === "required";
+}
+
+/**
+ * Whether an actor is attuned to as many items as dnd5e allows.
+ */
+function isAttunementFull(actor) {
+  const attunement = actor?.system?.attributes?.attunement;
+  return Number.isFinite(attunement?.max) && (attunement.value ?? 0) >= attunement.max;
+}
+
+function getResearchSetting(key) {
+  const value = Number(game.settings.get(MODULE_ID, key));
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+/**
+ * Work hours and gold a research project needs for a blueprint meant for the given level.
+ * @param {number|string|null} level
+ * @returns {{level: number, requiredHours: number, goldCost: number}}
+ */
+function getResearchRequirements(level) {
+  const parsed = Math.clamp(Number.parseInt(level, 10) || 1, 1, 9);
+  return {
+    level: parsed,
+    requiredHours: parsed * getResearchSetting("researchHoursPerLevel"),
+    goldCost: parsed * getResearchSetting("researchGoldPerLevel")
+  };
+}
+
+/**
+ * A fresh research project, or null if it would need no time at all.
+ * @param {{level: number|null, requiredHours: number, goldCost: number}} requirements
+ */
+function buildResearchProject({ level, requiredHours, goldCost }) {
+  if (!(requiredHours > 0)) return null;
+  return { level, requiredHours, goldCost, progress: 0, startedAt: game.time.worldTime, completedAt: null };
+}
+
+function getResearch(blueprint) {
+  const research = blueprint?.getFlag?.(MODULE_ID, "research");
+  return Number.isFinite(research?.requiredHours) ? research : null;
+}
+
+/**
+ * Whether a blueprint has no research left to do. Blueprints without a project count as complete.
+ */
+function isResearchComplete(blueprint) {
+  const research = getResearch(blueprint);
+  return !research || research.progress >= research.requiredHours;
+}
+
+/**
+ * Work hours as work days and hours, e.g. "2d 3h".
+ */
+function formatResearchHours(hours) {
+  const perDay = getResearchSetting("researchHoursPerDay");
+  const total = Math.floor(hours);
+  const days = perDay ? Math.floor(total / perDay) : 0;
+  const rest = total - (days * perDay);
+  if (!days) return `${rest}h`;
+  return rest ? `${days}d ${rest}h` : `${days}d`;
+}
+
+/**
+ * Progress bar data for a blueprint's research, or null when it has none.
+ */
+function describeResearch(blueprint) {
+  const research = getResearch(blueprint);
+  if (!research) return null;
+  return {
+    level: research.level,
+    percent: Math.clamp(Math.floor((research.progress / research.requiredHours) * 100), 0, 100),
+    label: `${formatResearchHours(research.progress)} / ${formatResearchHours(research.requiredHours)}`,
+    remaining: formatResearchHours(Math.max(research.requiredHours - research.progress, 0))
+  };
+}
+
+/**
+ * "Copied from ..." line for a shared blueprint, or an empty string.
+ */
+function describeProvenance(blueprint) {
+  const source = blueprint.getFlag(MODULE_ID, "sourceCodex");
+  if (!source) return "";
+  const creator = blueprint.getFlag(MODULE_ID, "originalCreator")?.name;
+  const from = source.actorName ? `${source.actorName}'s ${source.name}` : source.name;
+  return creator && creator !== source.actorName ? `Copied from ${from}, designed by ${creator}` : `Copied from ${from}`;
+}
+
+/**
+ * Every codex in the world, on actors and on party groups.
+ * @returns {Item[]}
+ */
+function getAllCodexes() {
+  return game.actors.contents.flatMap((actor) => actor.items.filter((i) => isCodexItem(i)));
+}
+
+/**
+ * The codex a blueprint is stored in.
+ * @param {Item} item
+ * @returns {Item|null}
+ */
+function getBlueprintCodex(item) {
+  const actor = item?.parent;
+  if (!(actor instanceof Actor)) return null;
+  const codex = actor.items.find((i) => isCodexItem(i) && isItemInCodex(item, i));
+  return codex ?? null;
+}
+
+function isPartyCodex(codex) {
+  return isCodexItem(codex) && codex.parent?.type === "group";
+}
+
+/**
+ * The member actors of a dnd5e group actor.
+ * @param {Actor} group
+ * @returns {Actor[]}
+ */
+function getGroupMembers(group) {
+  if (group?.type !== "group") return [];
+  return Array.from(group.system?.members ?? [])
+    .map((member) => member?.actor ?? member)
+    .filter((actor) => actor instanceof Actor);
+}
+
+/**
+ * The actors who can fabricate from a codex and pay its costs: the codex's actor,
+ * or every member of the group for a party codex. With a user, only the actors they own.
+ * @param {Item} codex
+ * @param {User} [user]
+ * @returns {Actor[]}
+ */
+function getCodexCasters(codex, user = null) {
+  const actor = codex?.parent instanceof Actor ? codex.parent : null;
+  if (!actor) return [];
+  const casters = isPartyCodex(codex) ? getGroupMembers(actor) : [actor];
+  return user ? casters.filter((a) => _userOwns(user, a)) : casters;
+}
+
+/**
+ * Copies from a codex that count against one caster's active limit.
+ * Copies made before casters were recorded belong to the codex's actor.
+ * @param {Item} codex
+ * @param {Actor} caster
+ * @returns {Item[]} Oldest first
+ */
+function getCasterFabrications(codex, caster) {
+  return getCodexFabrications(codex.uuid)
+    .filter((i) => (i.getFlag(MODULE_ID, "fabricatedBy") ?? codex.parent?.uuid) === caster?.uuid);
+}
+
+/**
+ * Every codex an actor can open: its own, plus the party codexes of groups it belongs to.
+ * @param {Actor} actor
+ * @returns {Item[]}
+ */
+function getActorCodexes(actor) {
+  const own = actor.items.filter((i) => isCodexItem(i));
+  const party = game.actors.filter((a) => a.type === "group" && getGroupMembers(a).some((m) => m.uuid === actor.uuid))
+    .flatMap((group) => group.items.filter((i) => isCodexItem(i)));
+  return [...own, ...party];
+}
+
+function getActiveInnovations(codex) {
+  if (!codex) return [];
+  return getCodexFabrications(codex.uuid).map((item) => {
+    const blueprint = fromUuidSync(item.getFlag(MODULE_ID, "blueprintUuid") ?? "");
+    const version = item.getFlag(MODULE_ID, "blueprintVersion") ?? null;
+    return {
+      itemName: item.name,
+      itemImg: item.img,
+      itemUuid: item.uuid,
+      actorName: item.parent?.name,
+      actorImg: item.parent?.img,
+      spentLevel: item.getFlag(MODULE_ID, "spentSlotLevel") ?? null,
+      timeLeft: describeExpiry(item),
+      versionLabel: version ? `v${version}` : "unversioned",
+      isOutdated: Boolean(blueprint) && version !== getBlueprintVersion(blueprint),
+      charges: item.system?.uses?.max > 0 ? `${item.system.uses.value ?? 0} / ${item.system.uses.max}` : ""
+    };
+  });
+}
+
+/**
+ * Why a fabricated item no longer belongs anywhere, or an empty string if it is fine.
+ * Orphaned copies lost their codex; stale ones lost their blueprint or outlived their expiry.
+ * @param {Item} item
+ * @returns {{isOrphaned: boolean, isStale: boolean, staleReason: string}}
+ */
+function getFabricationHealth(item) {
+  const codex = fromUuidSync(item.getFlag(MODULE_ID, "originUuid") ?? "");
+  const isOrphaned = !isCodexItem(codex);
+  const expiresAt = item.getFlag(MODULE_ID, "expiry")?.expiresAt;
+  let staleReason = "";
+  if (isOrphaned) staleReason = "Orphaned: its codex no longer exists";
+  else if (!fromUuidSync(item.getFlag(MODULE_ID, "blueprintUuid") ?? "")) staleReason = "Stale: its blueprint no longer exists";
+  else if (Number.isFinite(expiresAt) && expiresAt <= game.time.worldTime) staleReason = "Stale: past its expiry";
+  return { isOrphaned, isStale: Boolean(staleReason), staleReason };
+}
+
+/**
+ * Every fabricated item in the world, grouped for the GM dashboard.
+ * @param {"codex"|"holder"} groupBy
+ * @param {"all"|"stale"} filter
+ * @returns {{key: string, label: string, items: object[]}[]}
+ */
+function getDashboardGroups(groupBy, filter) {
+  const groups = new Map();
+  for (const item of getFabricatedItems()) {
+    const health = getFabricationHealth(item);
+    if (filter === "stale" && !health.isStale) continue;
+    const originUuid = item.getFlag(MODULE_ID, "originUuid") ?? "";
+    const codex = health.isOrphaned ? null : fromUuidSync(originUuid);
+    const codexLabel = codex ? `${codex.name} (${codex.parent?.name ?? "Unknown Actor"})` : "Missing codex";
+    const key = groupBy === "holder" ? item.parent?.uuid ?? "" : originUuid;
+    const label = groupBy === "holder" ? item.parent?.name ?? "Unknown Actor" : codexLabel;
+    if (!groups.has(key)) groups.set(key, { key, label, items: [] });
+    groups.get(key).items.push({
+      itemUuid: item.uuid,
+      itemName: item.name,
+      itemImg: item.img,
+      holderName: item.parent?.name ?? "Unknown Actor",
+      codexLabel,
+      timeLeft: describeExpiry(item),
+      charges: item.system?.uses?.max > 0 ? `${item.system.uses.value ?? 0} / ${item.system.uses.max}` : "",
+      ...health
+    });
+  }
+  return Array.from(groups.values()).sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * A blueprint's editable content, as stored in its version history.
+ * Module flags and the codex container are left out.
+ * @param {Item} item
+ * @returns {{name: string, img: string, type: string, system: object, effects: object[]}}
+ */
+function getBlueprintSnapshot(item) {
+  const data = item.toObject();
+  delete data.system.container;
+  delete data.system.containerId;
+  return {
+    name: data.name,
+    img: data.img,
+    type: data.type,
+    system: data.system,
+    effects: (data.effects ?? []).map(({ _id, _stats, ...effect }) => effect)
+  };
+}
+
+function getBlueprintVersions(blueprint) {
+  return blueprint?.getFlag(MODULE_ID, "versions") ?? [];
+}
+
+/**
+ * A blueprint's current version. Blueprints from before versioning count as version 1.
+ */
+function getBlueprintVersion(blueprint) {
+  return blueprint?.getFlag(MODULE_ID, "version") ?? 1;
+}
+
+/**
+ * The changed fields between two blueprint snapshots. Effects are compared by name.
+ * @param {object} before
+ * @param {object} after
+ * @returns {{path: string, before: string, after: string}[]}
+ */
+function diffBlueprintSnapshots(before, after) {
+  const flatten = (snapshot = {}) => foundry.utils.flattenObject({
+    ...snapshot,
+    effects: Object.fromEntries((snapshot.effects ?? []).map((e, i) => [e.name || `#${i + 1}`, e]))
+  });
+  const a = flatten(before);
+  const b = flatten(after);
+  return Array.from(new Set([...Object.keys(a), ...Object.keys(b)]))
+    .filter((path) => !foundry.utils.objectsEqual({ value: a[path] }, { value: b[path] }))
+    .sort()
+    .map((path) => ({ path, before: formatSnapshotValue(a[path]), after: formatSnapshotValue(b[path]) }));
+}
+
+function formatSnapshotValue(value) {
+  if (value === undefined || value === null || value === "") return "\u2014";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return text.length > 200 ? `${text.slice(0, 200)}\u2026` : text;
+}
+
+/* ================================================== */
+/*  SECTION 5: Player-facing logic                    */
+/* ================================================== */
+
+function openCodex(codexItem) {
+  if (!codexItem) return;
+  const now = Date.now();
+  const lastOpen = RECENT_OPEN.get(codexItem.uuid) ?? 0;
+  if (now - lastOpen < 250) return;
+  RECENT_OPEN.set(codexItem.uuid, now);
+  const existing = foundry.applications.instances.get(`innovations-codex-${codexItem.uuid.replaceAll(".", "-")}`);
+  if (existing) existing.render({ force: true });
+  else new InnovationsCodexApp(codexItem).render(true);
+}
+
+async function openCodexByUuid(itemUuid) {
+  const item = await fromUuid(itemUuid);
+  if (item) openCodex(item);
+}
+
+/**
+ * Entry point when "Create Innovation" feat is used.
+ * Routes codex creation through socketlib so any player can use it.
+ */
+async function useCreateFeature(feat) {
+  const actor = feat?.parent;
+  if (!(actor instanceof Actor)) {
+    ui.notifications.warn("The Create Innovation feature must be on an actor's sheet.");
+    return;
+  }
+
+  const codexes = getActorCodexes(actor);
+  const groups = game.actors.filter((a) => a.type === "group" && getGroupMembers(a).some((m) => m.uuid === actor.uuid));
+
+  // A single codex opens straight away; an actor without one gets the default codex
+  if (codexes.length === 1 && !groups.length) return openCodex(codexes[0]);
+  if (!codexes.length && !groups.length) return addAndOpenCodex(actor, null);
+
+  const choice = await pickCodex(actor, codexes, groups);
+  if (!choice) return;
+  if (choice.codexUuid) return openCodexByUuid(choice.codexUuid);
+  if (!choice.name) {
+    ui.notifications.warn("Name the new codex.");
+    return;
+  }
+  const owner = choice.ownerUuid ? await fromUuid(choice.ownerUuid) : actor;
+  return addAndOpenCodex(owner ?? actor, choice.name);
+}
+
+/**
+ * Ask the GM to add a codex to an actor, then open it.
+ * @param {Actor} actor - A character, or a group actor for a party codex
+ * @param {string|null} name
+ */
+async function addAndOpenCodex(actor, name) {
+  // Ask GM to add the codex via socketlib
+  const codexUuid = await addCodexToActor(actor.uuid, name);
+  if (!codexUuid) {
+    ui.notifications.error(`Failed to add ${name ?? CODEX_NAME} to ${actor.name}.`);
+    return;
+  }
+  const codex = await fromUuid(codexUuid);
+  if (!codex) {
+    ui.notifications.error("Failed to find the newly created codex.");
+    return;
+  }
+  ui.notifications.info(`Added ${codex.name} to ${actor.name}'s inventory.`);
+  openCodex(codex);
+}
+
+/**
+ * Let the player choose which codex to open, or name a new one.
+ * @param {Actor} actor
+ * @param {Item[]} codexes - Codexes the actor can open
+ * @param {Actor[]} groups - Groups the actor belongs to, which may hold a party codex
+ * @returns {{codexUuid?: string, name?: string, ownerUuid?: string}|null}
+ */
+async function pickCodex(actor, codexes, groups) {
+  const codexOptions = codexes.map((c) => {
+    const label = isPartyCodex(c) ? `${c.name} (party: ${c.parent.name})` : c.name;
+    return `<option value="${c.uuid}">${foundry.utils.escapeHTML?.(label) ?? label}</option>`;
+  }).join("");
+  const ownerOptions = [actor, ...groups]
+    .map((a) => `<option value="${a.uuid}">${a === actor ? a.name : `Party codex for ${a.name}`}</option>`)
+    .join("");
+
+  return Dialog.prompt({
+    title: "Open Codex",
+    content: `
+      <form>
+        <div class="form-group">
+          <label>Codex</label>
+          <select name="codexUuid">
+            ${codexOptions}
+            <option value="">New codex&hellip;</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label>New Codex Name</label>
+          <input type="text" name="name" placeholder="e.g. School of Artillery" />
+        </div>
+        <div class="form-group">
+          <label>Keep It On</label>
+          <select name="ownerUuid">${ownerOptions}</select>
+        </div>
+        <p class="hint">The name and owner are only used when creating a new codex.</p>
+      </form>`,
+    label: "Open",
+    callback: (html) => {
+      const data = readDialogForm(html) ?? {};
+      return { codexUuid: data.codexUuid, name: data.name?.trim(), ownerUuid: data.ownerUuid };
+    },
+    rejectClose: false
+  });
+}
+
+/**
+ * Show dialog and create a new innovation via socketlib.
+ * @param {Item} codex
+ * @param {Actor} actor - The codex's actor
+ * @param {string|null} [contributorUuid] - For party codexes, the member adding it
+ */
+async function createNewInnovation(codex, actor, contributorUuid = null) {
+  const typeOptions = Object.entries(INNOVATION_ITEM_TYPES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join("");
+
+  const templates = await getInnovationTemplates();
+  const templateGroup = (source, label) => {
+    const options = templates.filter((t) => t.source === source)
+      .map((t) => `<option value="${t.uuid}">${t.name}${t.suggestedLevel ? ` (suggested level ${t.suggestedLevel})` : ""}</option>`)
+      .join("");
+    return options ? `<optgroup label="${label}">${options}</optgroup>` : "";
+  };
+
+  // Players research new blueprints for a chosen level; GMs skip straight to the finished item
+  const perLevel = getResearchRequirements(1);
+  const researchGroup = !game.user.isGM && perLevel.requiredHours
+    ? `<div class="form-group">
+        <label>Intended Level</label>
+        <select name="intendedLevel">${Array.from({ length: 9 }, (_, i) => `<option value="${i + 1}">Level ${i + 1}</option>`).join("")}</select>
+        <p class="hint">Research takes ${formatResearchHours(perLevel.requiredHours)} and ${perLevel.goldCost} gp per level.</p>
+      </div>`
+    : "";
+
+  const content = `
+    <form>
+      <div class="form-group">
+        <label>Innovation Name</label>
+        <input type="text" name="itemName" placeholder="Name your innovation..." autofocus />
+      </div>
+      <div class="form-group">
+        <label>Item Type</label>
+        <select name="itemType">${typeOptions}</select>
+      </div>
+      <div class="form-group">
+        <label>Start From</label>
+        <select name="templateUuid">
+          <option value="">Blank item</option>
+          ${templateGroup("world", "World Templates")}
+          ${templateGroup("module", "Module Templates")}
+        </select>
+      </div>
+      <div class="ic-drop-zone" data-drop-zone>
+        <i class="fas fa-hand-pointer"></i> <span>Or drag an item here from the sidebar or a compendium</span>
+      </div>
+      ${researchGroup}
+      <input type="hidden" name="sourceUuid" value="" />
+    </form>`;
+
+  const result = await Dialog.prompt({
+    title: "New Innovation",
+    content,
+    label: "Create",
+    render: (html) => {
+      const form = html[0]?.querySelector("form") ?? html.querySelector?.("form");
+      const zone = form?.querySelector("[data-drop-zone]");
+      if (!zone) return;
+      zone.addEventListener("dragover", (e) => e.preventDefault());
+      zone.addEventListener("drop", async (e) => {
+        e.preventDefault();
+        const data = getDragEventData(e);
+        const item = data?.type === "Item" ? await fromUuid(data.uuid) : null;
+        if (!(item instanceof Item) || !(item.type in INNOVATION_ITEM_TYPES)) {
+          ui.notifications.warn("Only weapons, equipment, consumables, tools and loot can become innovations.");
+          return;
+        }
+        form.querySelector("[name=sourceUuid]").value = item.uuid;
+        form.querySelector("[name=templateUuid]").value = "";
+        form.querySelector("[name=itemType]").value = item.type;
+        zone.querySelector("span").textContent = `Starting from ${item.name}`;
+        zone.classList.add("ic-drop-zone-filled");
+      });
+    },
+    callback: (html) => {
+      const form = html[0]?.querySelector("form") ?? html.querySelector?.("form");
+      return {
+        name: form?.querySelector("[name=itemName]")?.value?.trim(),
+        type: form?.querySelector("[name=itemType]")?.value,
+        sourceUuid: form?.querySelector("[name=sourceUuid]")?.value
+          || form?.querySelector("[name=templateUuid]")?.value
+          || null,
+        intendedLevel: Number.parseInt(form?.querySelector("[name=intendedLevel]")?.value, 10) || null
+      };
+    },
+    rejectClose: false
+  });
+
+  if (!result || (!result.name && !result.sourceUuid)) {
+    ui.notifications.warn("Innovation name is required.");
+    return null;
+  }
+
+  return createInnovationFromData(codex, actor, { ...result, contributorUuid });
+}
+
+/**
+ * Create a blueprint via socketlib, mirror it, notify the GM and open its sheet.
+ * @param {Item} codex
+ * @param {Actor} actor
+ * @param {object} data
+ * @param {string} [data.name] - Blueprint name; defaults to the source item's name
+ * @param {string} [data.type] - Item type for blank blueprints
+ * @param {string|null} [data.sourceUuid] - Template or item to copy
+ * @param {string|null} [data.contributorUuid] - For party codexes, the member adding it
+ * @param {number|null} [data.intendedLevel] - Level to research the blueprint for
+ * @returns {Item|null}
+ */
+async function createInnovationFromData(codex, actor, { name, type, sourceUuid = null, contributorUuid = null, intendedLevel = null }) {
+  // The contributor funds the research up front
+  if (!game.user.isGM && intendedLevel) {
+    const contributor = contributorUuid ? fromUuidSync(contributorUuid) : actor;
+    const { goldCost } = getResearchRequirements(intendedLevel);
+    const gold = contributor?.system?.currency?.gp ?? 0;
+    if (goldCost > gold) {
+      ui.notifications.warn(`Researching a level ${intendedLevel} innovation costs ${goldCost} gp; ${contributor?.name ?? actor.name} has ${gold}.`);
+      return null;
+    }
+  }
+
+  // Create item via GM
+  const createdUuid = await createInnovationOnActor(actor.uuid, codex.id, name, type, sourceUuid, contributorUuid, intendedLevel);
+  if (!createdUuid) {
+    ui.notifications.error("Failed to create innovation.");
+    return null;
+  }
+
+  const created = await fromUuid(createdUuid);
+  if (!created) {
+    ui.notifications.error("Failed to find the newly created innovation.");
+    return null;
+  }
+
+  // Mirror to world Uncategorized folder via GM
+  await mirrorToWorldFolder(created, null);
+
+  // Notify GM
+  const actorName = created.getFlag(MODULE_ID, "contributorName") ?? actor.name ?? "Unknown Actor";
+  const userName = game.user.name ?? "Unknown User";
+  const templateName = created.getFlag(MODULE_ID, "templateName");
+  const templateNote = templateName ? ` from <strong>${templateName}</strong>` : "";
+  await requestGMNotification(
+    `<strong>${userName}</strong>'s character <strong>${actorName}</strong> created a new innovation${templateNote}: <strong>${created.name}</strong> (Uncategorized)${game.user.isGM ? "" : ". It is awaiting your review."}`
+  );
+
+  // Open the item sheet
+  created.sheet.render(true);
+  return created;
+}
+
+/**
+ * Mark or unmark a world item as an innovation template (GM only).
+ * @param {Item} item
+ */
+async function toggleInnovationTemplate(item) {
+  if (item.getFlag(MODULE_ID, "isTemplate")) {
+    await item.unsetFlag(MODULE_ID, "isTemplate");
+    await item.unsetFlag(MODULE_ID, "suggestedLevel");
+    ui.notifications.info(`${item.name} is no longer an innovation template.`);
+    return;
+  }
+
+  const levelOptions = buildSlotOptions(null)
+    .map((o) => `<option value="${o.value}">${o.value === "0" ? "None" : o.label}</option>`)
+    .join("");
+  const level = await Dialog.prompt({
+    title: `Make ${item.name} a Template`,
+    content: `
+      <form>
+        <div class="form-group">
+          <label>Suggested Level</label>
+          <select name="suggestedLevel">${levelOptions}</select>
+        </div>
+      </form>`,
+    label: "Save",
+    callback: (html) => readDialogForm(html)?.suggestedLevel,
+    rejectClose: false
+  });
+  if (level === null || level === undefined) return;
+
+  await item.update({
+    [`flags.${MODULE_ID}.isTemplate`]: true,
+    [`flags.${MODULE_ID}.suggestedLevel`]: Number.parseInt(level, 10) || null
+  });
+  ui.notifications.info(`${item.name} is now an innovation template.`);
+}
+
+/**
+ * Ask how much downtime was spent researching a blueprint, optionally roll a research check,
+ * and log it via socketlib.
+ * @param {Item} blueprint
+ * @param {Actor} actor - Who did the research and makes the check
+ * @returns {boolean} Whether progress was logged
+ */
+async function logResearchTime(blueprint, actor) {
+  const research = describeResearch(blueprint);
+  if (!research || isResearchComplete(blueprint)) return false;
+  const ability = CONFIG.DND5E?.abilities?.[game.settings.get(MODULE_ID, "researchAbility")]?.label ?? "Ability";
+  const toolKey = game.settings.get(MODULE_ID, "researchTool");
+  const tool = toolKey && actor.system?.tools?.[toolKey] ? CONFIG.DND5E?.tools?.[toolKey] : null;
+  const checkLabel = tool ? `${ability} check with ${fromUuidSync(tool.id)?.name ?? toolKey}` : `${ability} check`;
+  const maxDays = getResearchSetting("researchMaxLogDays");
+
+  const data = await Dialog.prompt({
+    title: `Research ${blueprint.name}`,
+    content: `
+      <form>
+        <p>${research.label} done.</p>
+        <div class="form-group">
+          <label>Downtime Spent</label>
+          <input type="number" name="amount" min="1" step="1" value="1" />
+          <select name="unit">
+            <option value="days">Days</option>
+            <option value="hours">Hours</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Make a ${checkLabel}</label>
+          <input type="checkbox" name="roll" />
+        </div>
+        <p class="hint">A day of downtime is ${getResearchSetting("researchHoursPerDay")} hours of work${maxDays ? `, and at most ${maxDays} days can be logged at once` : ""}. The GM rolls the check; DC ${getResearchSetting("researchCheckDC")} or higher adds ${getResearchSetting("researchCheckHours")} more hours.</p>
+      </form>`,
+    label: "Log",
+    callback: (html) => readDialogForm(html),
+    rejectClose: false
+  });
+  if (!data) return false;
+
+  const amount = Math.max(Number(data.amount) || 0, 0);
+  const hours = data.unit === "days" ? amount * getResearchSetting("researchHoursPerDay") : amount;
+  if (!hours) { ui.notifications.warn("Log at least some downtime."); return false; }
+
+  const result = await logResearch(blueprint.uuid, hours, data.roll ? actor.uuid : null);
+  if (!result?.ok) {
+    ui.notifications.warn(result?.message ?? `Could not log research on ${blueprint.name}.`);
+    return false;
+  }
+  if (result.complete) ui.notifications.info(`Research on ${blueprint.name} is complete.`);
+  else if (result.bonus) ui.notifications.info(`The check paid off: ${result.bonus} extra hours of progress.`);
+  return true;
+}
+
+/**
+ * After a fabricated item is used, let the GM decide whether it malfunctions.
+ * @param {Item} item
+ */
+async function checkMalfunction(item) {
+  const malfunction = getMalfunction(item);
+  if (!malfunction) return;
+  if (malfunction.mode === "check") ui.notifications.info(`${item.name} is unstable: the GM rolls a DC ${malfunction.dc} check.`);
+  const result = await reportInnovationUse(item.uuid);
+  if (result?.malfunctioned) ui.notifications.warn(`${item.name} malfunctioned!`);
+}
+
+/**
+ * Ask the holder to confirm, then dismantle a fabricated item via socketlib.
+ * @param {Item} item
+ * @returns {boolean} Whether the item was dismantled
+ */
+async function dismantleInnovation(item) {
+  const refund = getRefund(item);
+  const confirmed = await Dialog.confirm({
+    title: `Dismantle ${item.name}`,
+    content: `<p>Take apart <strong>${item.name}</strong>? It is removed for good.</p>${refund ? `<p>Its maker gets back a ${describeCost(refund)}.</p>` : ""}`
+  });
+  if (!confirmed) return false;
+  const ok = await requestDismantle(item.uuid);
+  if (ok) ui.notifications.info(`${item.name} was dismantled.`);
+  else ui.notifications.warn(`${item.name} could not be dismantled.`);
+  return Boolean(ok);
+}
+
+/**
+ * Show the blueprint settings dialog and save the result via socketlib.
+ * @returns {boolean} Whether settings were saved
+ */
+async function configureBlueprint(blueprint) {
+  const content = await renderTemplate(
+    `modules/${MODULE_ID}/templates/blueprint-config.hbs`,
+    buildBlueprintConfigContext(blueprint)
+  );
+
+  // Settings left as they were are not sent, so saving unchanged never costs a player their approval
+  let initial = {};
+  const result = await Dialog.prompt({
+    title: `Configure ${blueprint.name}`,
+    content,
+    label: "Save",
+    render: (html) => { initial = parseBlueprintConfig(readDialogForm(html) ?? {}); },
+    callback: (html) => readDialogForm(html),
+    rejectClose: false
+  });
+  if (!result) return false;
+
+  for (const [flagKey, flagValue] of Object.entries(parseBlueprintConfig(result))) {
+    if (foundry.utils.objectsEqual({ value: initial[flagKey] }, { value: flagValue })) continue;
+    await setItemFlag(blueprint.uuid, flagKey, flagValue);
+  }
+  // Only GMs see these; a player's setFlag for them would be refused
+  if (game.user.isGM) {
+    await setItemFlag(blueprint.uuid, "levelExempt", Boolean(result.levelExempt));
+    await setItemFlag(blueprint.uuid, "malfunction", parseMalfunctionConfig(result.malfunction));
+  }
+  return true;
+}
+
+/**
+ * Walk the owner through fabricating a blueprint for a target: cost checks,
+ * slot choice, the active limit prompt, then the GM-side transaction.
+ * Used by the Codex window and by drag-and-drop onto tokens and actors.
+ * @param {Item} codex
+ * @param {string} blueprintUuid
+ * @param {string} targetUuid - Actor UUID; synthetic token actors are allowed
+ * @returns {boolean} Whether an item was fabricated
+ */
+async function requestFabrication(codex, blueprintUuid, targetUuid, casterUuid = null) {
+  if (!codex) return false;
+  const blueprint = await fromUuid(blueprintUuid);
+  const targetActor = await fromUuid(targetUuid);
+  const casters = getCodexCasters(codex, game.user);
+  const ownerActor = casters.find((a) => a.uuid === casterUuid) ?? casters[0] ?? null;
+
+  if (!(blueprint instanceof Item)) { ui.notifications.error("Blueprint not found."); return false; }
+  if (!(targetActor instanceof Actor)) { ui.notifications.error("Target actor not found."); return false; }
+  if (!ownerActor) {
+    ui.notifications.error(isPartyCodex(codex)
+      ? "You need a character in the party to fabricate from its codex."
+      : "The Codex must be owned by an Actor.");
+    return false;
+  }
+
+  if (getReviewStatus(blueprint) !== REVIEW_STATUS.APPROVED) {
+    ui.notifications.warn(`${blueprint.name} is awaiting GM approval and cannot be fabricated yet.`);
+    return false;
+  }
+
+  if (!isResearchComplete(blueprint)) {
+    ui.notifications.warn(`${blueprint.name} is still being researched (${describeResearch(blueprint).remaining} left).`);
+    return false;
+  }
+
+  const slotLevel = getSlotLevel(codex, blueprint);
+  if (!slotLevel || slotLevel < 1 || slotLevel > 9) {
+    ui.notifications.warn("Assign a spell level before fabricating.");
+    return false;
+  }
+
+  const range = getBlueprintRange(blueprint);
+  if (!isTargetInRange(ownerActor, targetActor, range)) {
+    ui.notifications.warn(`${targetActor.name} is not within ${RANGE_PRESETS[range] ?? `${range} ft`} of ${ownerActor.name}'s token.`);
+    return false;
+  }
+
+  // Slots the owner could spend: the blueprint's level or any higher one
+  const castOptions = getCastLevelOptions(ownerActor, blueprint, slotLevel);
+  const needsSlot = getSlotCostMode(blueprint) !== "none";
+  if (needsSlot && !castOptions.length) {
+    ui.notifications.warn(`${ownerActor.name} has no spell slots of level ${slotLevel} or higher available.`);
+    return false;
+  }
+
+  // Everything except the slot is the same whichever level is spent
+  const otherCosts = getFabricationCosts(blueprint, slotLevel).filter((c) => c.type !== "slot" && c.type !== "pact");
+  const problems = checkFabricationCosts(ownerActor, otherCosts);
+  if (problems.length) {
+    await Dialog.prompt({
+      title: "Cannot Fabricate",
+      content: `<p>${ownerActor.name} cannot pay to fabricate ${blueprint.name}:</p><ul>${problems.map((p) => `<li>${p}</li>`).join("")}</ul>`,
+      label: "OK",
+      rejectClose: false
+    });
+    return false;
+  }
+
+  const costList = otherCosts.map((c) => `<li>${describeCost(c)}</li>`).join("");
+  const slotSelect = needsSlot
+    ? `<div class="form-group">
+        <label>Spell Slot</label>
+        <select name="castLevel">${castOptions.map((o) => `<option value="${o.value}">${o.label}</option>`).join("")}</select>
+      </div>`
+    : "";
+  const choice = await Dialog.prompt({
+    title: "Pay Fabrication Cost",
+    content: `
+      <form>
+        <p>Fabricate ${blueprint.name} for ${targetActor.name}? ${ownerActor.name} will spend:</p>
+        ${slotSelect}
+        ${costList ? `<ul>${costList}</ul>` : (needsSlot ? "" : "<p><em>No cost.</em></p>")}
+      </form>`,
+    label: "Fabricate",
+    callback: (html) => readDialogForm(html) ?? {},
+    rejectClose: false
+  });
+  if (!choice) return false;
+
+  const cast = castOptions.find((o) => o.value === choice.castLevel) ?? { level: slotLevel, pact: false };
+
+  // Concurrent fabrication limit
+  const options = { castLevel: cast.level, usePact: cast.pact };
+  const limit = getActiveLimit(ownerActor);
+  const active = getCasterFabrications(codex, ownerActor);
+  if (limit === 0) {
+    ui.notifications.warn(`${ownerActor.name} cannot maintain any active innovations.`);
+    return false;
+  }
+  if (limit !== null && active.length >= limit) {
+    const oldest = active.slice(0, active.length - limit + 1);
+    const names = oldest.map((i) => `<strong>${i.name}</strong> (held by ${i.parent?.name ?? "Unknown Actor"})`).join(", ");
+    const replace = await Dialog.confirm({
+      title: "Innovation Limit Reached",
+      content: `<p>${ownerActor.name} already has ${active.length} of ${limit} active innovations.</p><p>Recall ${names} to make room?</p>`
+    });
+    if (!replace) return false;
+    options.replaceOldest = true;
+  }
+
+  // A full recipient swaps out one of their attunements for the new copy
+  if (requiresAttunement(blueprint) && isAttunementFull(targetActor)) {
+    const attuned = targetActor.items.filter((i) => i.system?.attuned);
+    const swap = attuned.length ? await Dialog.prompt({
+      title: "Attunement Full",
+      content: `
+        <form>
+          <p>${blueprint.name} requires attunement, and ${targetActor.name} is already attuned to the maximum number of items.</p>
+          <div class="form-group">
+            <label>Stop Attuning To</label>
+            <select name="unattuneId">${attuned.map((i) => `<option value="${i.id}">${i.name}</option>`).join("")}</select>
+          </div>
+        </form>`,
+      label: "Swap",
+      callback: (html) => readDialogForm(html),
+      rejectClose: false
+    }) : null;
+    if (!swap?.unattuneId) {
+      ui.notifications.warn(`${targetActor.name} cannot attune to ${blueprint.name}.`);
+      return false;
+    }
+    options.unattuneId = swap.unattuneId;
+  }
+
+  // All GM operations via socketlib
+  const result = await fabricate(ownerActor.uuid, targetActor.uuid, blueprintUuid, codex.uuid, slotLevel, options);
+  if (result?.ok) {
+    const levelNote = cast.level > slotLevel ? ` at level ${cast.level}` : "";
+    ui.notifications.info(`Fabricated Temporary ${blueprint.name} for ${targetActor.name}${levelNote}.`);
+  } else {
+    ui.notifications.error(`Fabrication failed: ${result?.message ?? "Unknown error."}`);
+  }
+  return Boolean(result?.ok);
+}
+
+/**
+ * Handle a Codex drag payload dropped on an actor (token, directory entry or sheet).
+ * Blueprints start a fabrication for that actor; active innovations move to them.
+ * @param {object} data - Drag data
+ * @param {Actor} targetActor
+ * @returns {Promise<boolean>} Whether the payload was one of ours
+ */
+async function handleInnovationDrop(data, targetActor) {
+  if (!(targetActor instanceof Actor)) return false;
+
+  if (data?.type === DRAG_TYPES.blueprint) {
+    const codex = await fromUuid(data.codexUuid);
+    if (!isCodexItem(codex)) return false;
+    await requestFabrication(codex, data.blueprintUuid, targetActor.uuid, data.casterUuid);
+    refreshOpenApps(InnovationsCodexApp);
+    return true;
+  }
+
+  if (data?.type === DRAG_TYPES.transfer) {
+    const movedUuid = await transferInnovation(data.itemUuid, data.codexUuid, targetActor.uuid);
+    if (movedUuid) ui.notifications.info(`Moved the innovation to ${targetActor.name}.`);
+    else ui.notifications.error("Failed to move the innovation.");
+    refreshOpenApps(InnovationsCodexApp);
+    return true;
+  }
+
+  return false;
+}
+
+function isInnovationDragData(data) {
+  return data?.type === DRAG_TYPES.blueprint || data?.type === DRAG_TYPES.transfer;
+}
+
+/**
+ * GM command: rebuild the world mirror of every blueprint and retire mirrors whose blueprint is gone.
+ * @returns {{synced: number, retired: number}|null}
+ */
+async function resyncAllMirrors() {
+  if (!game.user.isGM) {
+    ui.notifications.warn("Only a GM can resync codexes.");
+    return null;
+  }
+  await ensureFolderHierarchy();
+
+  const blueprints = getAllBlueprints();
+  for (const blueprint of blueprints) {
+    await _commitBlueprintVersion(blueprint);
+    const mirror = findMirror(blueprint);
+    if (mirror) await _reconcileMirror(blueprint, mirror);
+    else await _syncMirror(blueprint, blueprint.getFlag(MODULE_ID, "spellLevel") ?? null);
+  }
+
+  const orphans = game.items.filter((i) => isMirrorItem(i) && !i.getFlag(MODULE_ID, "retired")
+    && !isEditableBlueprint(fromUuidSync(i.getFlag(MODULE_ID, "mirrorOf"))));
+  for (const mirror of orphans) await _retireMirror(mirror);
+
+  ui.notifications.info(`Resynced ${blueprints.length} blueprint${blueprints.length === 1 ? "" : "s"}; retired ${orphans.length} orphaned mirror${orphans.length === 1 ? "" : "s"}.`);
+  return { synced: blueprints.length, retired: orphans.length };
+}
+
+/**
+ * Ask for a recipient codex and terms, then offer them a copy of a blueprint.
+ * @param {Item} codex
+ * @param {Item} blueprint
+ * @returns {boolean} Whether the copy was accepted and made
+ */
+async function shareBlueprintWithCodex(codex, blueprint) {
+  const recipients = getAllCodexes().filter((c) => c.uuid !== codex.uuid);
+  if (!recipients.length) {
+    ui.notifications.warn("There are no other codexes to share with.");
+    return false;
+  }
+  const recipientOptions = recipients
+    .map((c) => `<option value="${c.uuid}">${c.name} (${c.parent.name})</option>`)
+    .join("");
+  const slotOptions = [`<option value="0">None</option>`]
+    .concat(Array.from({ length: 9 }, (_, i) => `<option value="${i + 1}">Level ${i + 1} slot</option>`))
+    .join("");
+
+  const terms = await Dialog.prompt({
+    title: `Share ${blueprint.name}`,
+    content: `
+      <form>
+        <div class="form-group">
+          <label>Recipient</label>
+          <select name="recipientCodexUuid">${recipientOptions}</select>
+        </div>
+        <fieldset>
+          <legend>Asking Price</legend>
+          <div class="form-group">
+            <label>Spell Slot</label>
+            <select name="slot">${slotOptions}</select>
+          </div>
+          <div class="form-group">
+            <label>Gold (gp)</label>
+            <input type="number" name="gold" min="0" step="1" value="0" />
+          </div>
+          <div class="form-group">
+            <label>Study Time (hours)</label>
+            <input type="number" name="studyHours" min="0" step="1" value="0" />
+          </div>
+          <p class="hint">The recipient pays the slot and gold when they accept. Gold goes to ${codex.parent?.name ?? "the sharer"}. A copy under study cannot be fabricated until that many hours of research are done.</p>
+        </fieldset>
+      </form>`,
+    label: "Offer",
+    callback: (html) => readDialogForm(html),
+    rejectClose: false
+  });
+  if (!terms?.recipientCodexUuid) return false;
+
+  ui.notifications.info(`Offered ${blueprint.name}. Waiting for an answer\u2026`);
+  const result = await shareBlueprint(blueprint.uuid, codex.uuid, terms.recipientCodexUuid, {
+    slot: terms.slot,
+    gold: terms.gold,
+    studyHours: terms.studyHours
+  });
+  if (result?.ok) ui.notifications.info(`${blueprint.name} was copied.`);
+  else ui.notifications.warn(result?.message ?? `Sharing ${blueprint.name} failed.`);
+  return Boolean(result?.ok);
+}
+
+/**
+ * Socket handler run on the recipient's client: accept or decline a shared blueprint.
+ * @param {object} offer - Built by _gmShareBlueprint
+ * @returns {{accepted: boolean, payerUuid?: string}}
+ */
+async function promptShareOffer(offer) {
+  // The offer comes from another client, so nothing in it is trusted as HTML
+  const escape = foundry.utils.escapeHTML;
+  const recipientCodex = await fromUuid(offer.recipientCodexUuid);
+  const payers = getCodexCasters(recipientCodex, game.user);
+  const payerSelect = payers.length > 1 && offer.costs.length
+    ? `<div class="form-group">
+        <label>Paid By</label>
+        <select name="payerUuid">${payers.map((a) => `<option value="${a.uuid}">${a.name}</option>`).join("")}</select>
+      </div>`
+    : "";
+  const costList = offer.costs.length ? `<ul>${offer.costs.map((c) => `<li>${escape(c)}</li>`).join("")}</ul>` : "<p><em>Free of charge.</em></p>";
+  const study = offer.studyHours ? `<p>It needs ${offer.studyHours} hours of research before it can be fabricated.</p>` : "";
+  const expiresAt = Date.now() + SHARE_OFFER_TIMEOUT;
+
+  const reply = await Dialog.wait({
+    title: "Blueprint Offered",
+    content: `
+      <form>
+        <p><img src="${escape(offer.blueprintImg)}" width="32" height="32" style="vertical-align: middle;" />
+          <strong>${escape(offer.senderName)}</strong> offers a copy of <strong>${escape(offer.blueprintName)}</strong>
+          for <strong>${recipientCodex?.name ?? CODEX_NAME}</strong>.</p>
+        ${costList}
+        ${study}
+        <p class="hint">${game.user.isGM ? "" : "The copy needs GM approval before it can be fabricated. "}The offer lapses after ${SHARE_OFFER_TIMEOUT / 60000} minutes.</p>
+        ${payerSelect}
+      </form>`,
+    buttons: {
+      accept: {
+        icon: '<i class="fas fa-check"></i>',
+        label: "Accept",
+        callback: (html) => {
+          if (Date.now() > expiresAt) {
+            ui.notifications.warn(`The offer of ${offer.blueprintName} has lapsed.`);
+            return { accepted: false };
+          }
+          return { accepted: true, payerUuid: readDialogForm(html)?.payerUuid ?? payers[0]?.uuid };
+        }
+      },
+      decline: {
+        icon: '<i class="fas fa-times"></i>',
+        label: "Decline",
+        callback: () => ({ accepted: false })
+      }
+    },
+    default: "accept",
+    close: () => ({ accepted: false })
+  });
+  return reply ?? { accepted: false };
+}
+
+/**
+ * Download a codex's full ledger as CSV or JSON.
+ * @param {Item} codex
+ * @param {"csv"|"json"} format
+ */
+function exportLedger(codex, format) {
+  const ledger = codex.getFlag(MODULE_ID, "ledger") ?? [];
+  const baseName = `${codex.parent?.name ?? "codex"}-${codex.name}-ledger`.slugify();
+  const save = foundry.utils.saveDataToFile ?? saveDataToFile;
+
+  if (format === "json") {
+    save(JSON.stringify(ledger, null, 2), "application/json", `${baseName}.json`);
+    return;
+  }
+
+  const columns = ["timestamp", "worldTime", "action", "userName", "blueprintName", "targetName", "slotLevel", "details"];
+  const escape = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+  const rows = ledger.map((e) => columns.map((c) => escape(c === "timestamp" ? new Date(e.timestamp).toISOString() : e[c])).join(","));
+  save([columns.join(","), ...rows].join("\n"), "text/csv", `${baseName}.csv`);
+}
+
+/**
+ * Wire up the buttons on a fabrication chat card. Activity buttons are shown
+ * to whoever owns the fabricated item; Recall only to the codex owner and GMs.
+ * @param {ChatMessage} message
+ * @param {HTMLElement} html
+ */
+function activateInnovationCard(message, html) {
+  const card = message.getFlag(MODULE_ID, "card");
+  if (card?.action !== "fabricate") return;
+  const item = card.itemUuid ? fromUuidSync(card.itemUuid) : null;
+  const codex = card.codexUuid ? fromUuidSync(card.codexUuid) : null;
+
+  html.querySelectorAll("[data-action='use-activity']").forEach((btn) => {
+    if (!item?.isOwner) { btn.remove(); return; }
+    btn.addEventListener("click", async (e) => {
+      e.preventDefault();
+      const current = await fromUuid(card.itemUuid);
+      const activity = current?.system?.activities?.get(e.currentTarget.dataset.activityId);
+      if (!activity) { ui.notifications.warn("That innovation no longer exists."); return; }
+      await activity.use();
+    });
+  });
+
+  html.querySelectorAll("[data-action='card-recall']").forEach((btn) => {
+    if (!item || !(game.user.isGM || codex?.isOwner)) { btn.remove(); return; }
+    btn.addEventListener("click", async (e) => {
+      e.preventDefault();
+      e.currentTarget.disabled = true;
+      const success = await requestRecall(card.itemUuid, card.codexUuid);
+      if (!success) ui.notifications.error("Recall failed.");
+    });
+  });
+}
+
+/* ================================================== */
+/*  SECTION 6: ApplicationV2 Window                   */
+/* ================================================== */
+
+/**
+ * Shared rendering plumbing for the module's ApplicationV2 windows.
+ * Subclasses set a static TEMPLATE and implement _activateListeners(root).
+ */
+class InnovationsBaseApp extends foundry.applications.api.ApplicationV2 {
+  static TEMPLATE = "";
+
+  async _renderHTML(context, _options) {
+    return renderTemplate(this.constructor.TEMPLATE, context);
+  }
+
+  _replaceHTML(result, content, _options) {
+    const target = content?.[0] ?? content;
+    if (!target) return;
+    if (typeof result === "string") { target.innerHTML = result; return; }
+    if (result instanceof Node) { target.replaceChildren(result); return; }
+    if (result && typeof result === "object" && typeof result.html === "string") {
+      target.innerHTML = result.html; return;
+    }
+  }
+
+  _onRender() {
+    const root = this._getContentRoot();
+    if (root) this._activateListeners(root);
+  }
+
+  _getContentRoot() {
+    const appWindow = this.appId
+      ? document.querySelector(`.app.window-app[data-appid="${this.appId}"]`)
+      : null;
+    return appWindow?.querySelector(".window-content")
+      ?? this.window?.content?.[0]
+      ?? this.window?.content
+      ?? (this.window?.element?.[0] ?? this.window?.element)
+      ?? document.getElementById(this.id)
+      ?? this.element?.[0]
+      ?? this.element;
+  }
+
+  _activateListeners(_root) {}
+}
+
+class InnovationsCodexApp extends InnovationsBaseApp {
+  static DEFAULT_OPTIONS = foundry.utils.mergeObject(super.DEFAULT_OPTIONS, {
+    tag: "section",
+    classes: ["innovations-codex"],
+    window: { title: "Innovations Codex", resizable: true },
+    position: { width: 720 }
+  });
+
+  static TEMPLATE = `modules/${MODULE_ID}/templates/innovations-codex.hbs`;
+
+  constructor(codex, options = {}) {
+    // One window per codex, now that actors can hold several
+    super({ id: `innovations-codex-${codex.uuid.replaceAll(".", "-")}`, ...options });
+    this.codex = codex;
+    this.activeTab = options.tab ?? "blueprints";
+    this.historyFilter = { action: "", target: "" };
+    this.casterUuid = null;
+  }
+
+  /**
+   * The actor fabricating and paying costs: the codex's actor, or the chosen party member.
+   * @returns {Actor|null}
+   */
+  get caster() {
+    const casters = getCodexCasters(this.codex, game.user);
+    return casters.find((a) => a.uuid === this.casterUuid) ?? casters[0] ?? null;
+  }
+
+  get title() {
+    return this.codex?.name ?? CODEX_NAME;
+  }
+
+  async _prepareContext() {
+    const parentActor = this.codex?.parent instanceof Actor ? this.codex.parent : null;
+    const caster = this.caster;
+    const isParty = isPartyCodex(this.codex);
+    const targets = getTargetActors(game.user);
+    const blueprints = parentActor ? getBlueprintItems(parentActor, this.codex, targets, caster) : [];
+    const activeInnovations = getActiveInnovations(this.codex);
+    const activeLimit = caster ? getActiveLimit(caster) : null;
+
+    return {
+      codexName: this.codex?.name ?? CODEX_NAME,
+      codexUuid: this.codex?.uuid,
+      isGM: game.user.isGM,
+      isParty,
+      partyName: isParty ? parentActor.name : "",
+      casters: getCodexCasters(this.codex, game.user)
+        .map((a) => ({ uuid: a.uuid, name: a.name, selected: a.uuid === caster?.uuid })),
+      casterName: caster?.name ?? "",
+      activeCount: caster ? getCasterFabrications(this.codex, caster).length : activeInnovations.length,
+      activeLimit,
+      hasActiveLimit: activeLimit !== null,
+      limitOverride: caster?.getFlag(MODULE_ID, "maxActiveInnovations") ?? "",
+      limitDefault: game.settings.get(MODULE_ID, "maxActiveInnovations") || "Unlimited",
+      hasParent: Boolean(parentActor),
+      hasBlueprints: blueprints.length > 0,
+      blueprints,
+      hasTargets: targets.length > 0,
+      hasActive: activeInnovations.length > 0,
+      activeInnovations,
+      iconSize: getIconSize(),
+      portraitSize: getPortraitSize(),
+      ledger: getLedgerEntries(this.codex, this.historyFilter),
+      ledgerActions: Object.entries(LEDGER_ACTIONS)
+        .map(([value, label]) => ({ value, label, selected: value === this.historyFilter.action })),
+      ledgerTargets: getLedgerTargets(this.codex)
+        .map((t) => ({ ...t, selected: t.uuid === this.historyFilter.target })),
+      isBlueprintsTab: this.activeTab === "blueprints",
+      isActiveTab: this.activeTab === "active",
+      isHistoryTab: this.activeTab === "history"
+    };
+  }
+
+  _activateListeners(root) {
+    // Tab buttons
+    root.querySelectorAll("[data-tab]").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        e.preventDefault();
+        const tab = e.currentTarget.dataset.tab;
+        if (tab && tab !== this.activeTab) { this.activeTab = tab; this.render(); }
+      });
+    });
+
+    // Target portrait swap
+    root.querySelectorAll("[data-target-select]").forEach((sel) => {
+      sel.addEventListener("change", (e) => {
+        const row = e.currentTarget.closest("[data-blueprint-uuid]");
+        const portrait = row?.querySelector(".ic-target-portrait");
+        const option = e.currentTarget.selectedOptions?.[0];
+        if (portrait && option?.dataset?.portrait) portrait.src = option.dataset.portrait;
+      });
+    });
+
+    // Fabricate
+    root.querySelectorAll("[data-action='fabricate']").forEach((btn) => {
+      btn.addEventListener("click", async (e) => {
+        const row = e.currentTarget.closest("[data-blueprint-uuid]");
+        const blueprintUuid = e.currentTarget.dataset.itemUuid ?? row?.dataset.blueprintUuid;
+        const select = row?.querySelector("[data-target-select]");
+        const targetUuid = select?.value;
+        if (!targetUuid) { ui.notifications.warn("Select a target actor first."); return; }
+        await this._fabricate(blueprintUuid, targetUuid);
+      });
+    });
+
+    // Slot level change
+    root.querySelectorAll("[data-slot-level]").forEach((sel) => {
+      sel.addEventListener("change", async (e) => {
+        const row = e.currentTarget.closest("[data-blueprint-uuid]");
+        const blueprintUuid = row?.dataset.blueprintUuid;
+        if (!blueprintUuid || !this.codex) return;
+        const rawValue = e.currentTarget.value;
+        const level = rawValue === "0" ? null : Number.parseInt(rawValue, 10);
+        const blueprint = await fromUuid(blueprintUuid);
+        if (!blueprint) return;
+        await setSlotLevelForBlueprint(this.codex, blueprint, level);
+        await this.render();
+      });
+    });
+
+    // Recall
+    root.querySelectorAll("[data-action='recall']").forEach((btn) => {
+      btn.addEventListener("click", async (e) => {
+        const target = e.currentTarget;
+        const itemUuid = target.dataset.itemUuid;
+        if (!itemUuid) return;
+        target.disabled = true;
+        await requestRecall(itemUuid, this.codex?.uuid);
+        await this.render();
+      });
+    });
+
+    // Party codex: which member fabricates
+    root.querySelector("[data-caster-select]")?.addEventListener("change", (e) => {
+      this.casterUuid = e.currentTarget.value;
+      this.render();
+    });
+
+    // GM: per-actor active limit override
+    root.querySelector("[data-limit-override]")?.addEventListener("change", async (e) => {
+      const actor = this.caster;
+      if (!actor || !game.user.isGM) return;
+      const value = e.currentTarget.value.trim();
+      if (value) await actor.setFlag(MODULE_ID, "maxActiveInnovations", value);
+      else await actor.unsetFlag(MODULE_ID, "maxActiveInnovations");
+      await this.render();
+    });
+
+    // Blueprint settings
+    root.querySelectorAll("[data-action='configure']").forEach((btn) => {
+      btn.addEventListener("click", async (e) => {
+        e.preventDefault();
+        const blueprint = await fromUuid(e.currentTarget.closest("[data-blueprint-uuid]")?.dataset.blueprintUuid);
+        if (!(blueprint instanceof Item)) return;
+        if (await configureBlueprint(blueprint)) await this.render();
+      });
+    });
+
+    // Share a blueprint with another codex
+    root.querySelectorAll("[data-action='share']").forEach((btn) => {
+      btn.addEventListener("click", async (e) => {
+        e.preventDefault();
+        const blueprint = await fromUuid(e.currentTarget.closest("[data-blueprint-uuid]")?.dataset.blueprintUuid);
+        if (!(blueprint instanceof Item) || !this.codex) return;
+        if (await shareBlueprintWithCodex(this.codex, blueprint)) await this.render();
+      });
+    });
+
+    // Log downtime on a blueprint still in research
+    root.querySelectorAll("[data-action='log-research']").forEach((btn) => {
+      btn.addEventListener("click", async (e) => {
+        e.preventDefault();
+        const blueprint = await fromUuid(e.currentTarget.closest("[data-blueprint-uuid]")?.dataset.blueprintUuid);
+        const contributor = fromUuidSync(blueprint?.getFlag(MODULE_ID, "createdBy") ?? "");
+        const actor = contributor?.isOwner ? contributor : this.caster;
+        if (!(blueprint instanceof Item) || !actor) return;
+        if (await logResearchTime(blueprint, actor)) await this.render();
+      });
+    });
+
+    // Blueprint version history
+    root.querySelectorAll("[data-action='versions']").forEach((btn) => {
+      btn.addEventListener("click", async (e) => {
+        e.preventDefault();
+        const blueprint = await fromUuid(e.currentTarget.closest("[data-blueprint-uuid]")?.dataset.blueprintUuid);
+        openBlueprintVersions(blueprint, this.codex);
+      });
+    });
+
+    // "+ New Innovation"
+    const addBtn = root.querySelector("[data-action='add-innovation']");
+    if (addBtn) {
+      addBtn.addEventListener("click", async () => {
+        const actor = this.codex?.parent instanceof Actor ? this.codex.parent : null;
+        if (!actor) { ui.notifications.warn("The Codex must be owned by an actor."); return; }
+        const created = await createNewInnovation(this.codex, actor, this._contributorUuid());
+        if (created) await this.render();
+      });
+    }
+
+    // Drag blueprint rows onto tokens or actors to fabricate for them
+    root.querySelectorAll("[data-blueprint-uuid][draggable]").forEach((row) => {
+      row.addEventListener("dragstart", (e) => {
+        e.dataTransfer.setData("text/plain", JSON.stringify({
+          type: DRAG_TYPES.blueprint,
+          blueprintUuid: row.dataset.blueprintUuid,
+          codexUuid: this.codex?.uuid,
+          casterUuid: this.caster?.uuid ?? null
+        }));
+      });
+    });
+
+    // Drag active innovations onto tokens or actors to hand them over
+    root.querySelectorAll("[data-active-uuid][draggable]").forEach((row) => {
+      row.addEventListener("dragstart", (e) => {
+        e.dataTransfer.setData("text/plain", JSON.stringify({
+          type: DRAG_TYPES.transfer,
+          itemUuid: row.dataset.activeUuid,
+          codexUuid: this.codex?.uuid
+        }));
+      });
+    });
+
+    // Drop items onto the Blueprints tab to turn them into blueprints
+    const blueprintPanel = root.querySelector(".ic-tab-panel[data-tab='blueprints']");
+    blueprintPanel?.addEventListener("dragover", (e) => e.preventDefault());
+    blueprintPanel?.addEventListener("drop", async (e) => {
+      const data = getDragEventData(e);
+      if (data?.type !== "Item" || !data.uuid) return;
+      e.preventDefault();
+      const actor = this.codex?.parent instanceof Actor ? this.codex.parent : null;
+      if (!actor) return;
+      const source = await fromUuid(data.uuid);
+      if (!(source instanceof Item) || !(source.type in INNOVATION_ITEM_TYPES)) {
+        ui.notifications.warn("Only weapons, equipment, consumables, tools and loot can become innovations.");
+        return;
+      }
+      if (isItemInCodex(source, this.codex) || source.getFlag(MODULE_ID, "isTemporary")) return;
+      const created = await createInnovationFromData(this.codex, actor, {
+        sourceUuid: source.uuid,
+        contributorUuid: this._contributorUuid()
+      });
+      if (created) await this.render();
+    });
+
+    // History filters
+    root.querySelectorAll("[data-history-filter]").forEach((sel) => {
+      sel.addEventListener("change", (e) => {
+        this.historyFilter[e.currentTarget.dataset.historyFilter] = e.currentTarget.value;
+        this.render();
+      });
+    });
+
+    // GM ledger export
+    root.querySelectorAll("[data-action='export-ledger']").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        if (this.codex) exportLedger(this.codex, e.currentTarget.dataset.format);
+      });
+    });
+
+    // GM review queue
+    root.querySelector("[data-action='open-review']")?.addEventListener("click", () => {
+      openReviewQueue();
+    });
+
+    // GM mirror resync
+    root.querySelector("[data-action='resync-mirrors']")?.addEventListener("click", async (e) => {
+      e.currentTarget.disabled = true;
+      await resyncAllMirrors();
+      await this.render();
+    });
+  }
+
+  async _fabricate(blueprintUuid, targetUuid) {
+    if (!this.codex) return;
+    await requestFabrication(this.codex, blueprintUuid, targetUuid, this.caster?.uuid);
+    await this.render();
+  }
+
+  /**
+   * Blueprints added to a party codex are credited to the selected member.
+   */
+  _contributorUuid() {
+    return isPartyCodex(this.codex) ? this.caster?.uuid ?? null : null;
+  }
+}
+
+/**
+ * GM window listing blueprints that are awaiting approval or were rejected.
+ */
+class InnovationsReviewApp extends InnovationsBaseApp {
+  static DEFAULT_OPTIONS = foundry.utils.mergeObject(super.DEFAULT_OPTIONS, {
+    id: "innovations-review-app",
+    tag: "section",
+    classes: ["innovations-codex"],
+    window: { title: "Innovation Review Queue", resizable: true },
+    position: { width: 640 }
+  });
+
+  static TEMPLATE = `modules/${MODULE_ID}/templates/innovations-review.hbs`;
+
+  async _prepareContext() {
+    const entries = getReviewQueue();
+    return {
+      entries,
+      hasEntries: entries.length > 0,
+      iconSize: getIconSize(),
+      portraitSize: getPortraitSize()
+    };
+  }
+
+  _activateListeners(root) {
+    root.querySelectorAll("[data-action='open-blueprint']").forEach((btn) => {
+      btn.addEventListener("click", async (e) => {
+        const item = await fromUuid(e.currentTarget.closest("[data-blueprint-uuid]")?.dataset.blueprintUuid);
+        item?.sheet?.render(true);
+      });
+    });
+
+    root.querySelectorAll("[data-action='approve']").forEach((btn) => {
+      btn.addEventListener("click", async (e) => {
+        const uuid = e.currentTarget.closest("[data-blueprint-uuid]")?.dataset.blueprintUuid;
+        if (!uuid) return;
+        e.currentTarget.disabled = true;
+        await this._review(uuid, REVIEW_STATUS.APPROVED, "");
+      });
+    });
+
+    root.querySelectorAll("[data-action='reject']").forEach((btn) => {
+      btn.addEventListener("click", async (e) => {
+        const row = e.currentTarget.closest("[data-blueprint-uuid]");
+        const uuid = row?.dataset.blueprintUuid;
+        if (!uuid) return;
+        const note = await Dialog.prompt({
+          title: `Reject ${row.dataset.blueprintName}`,
+          content: `
+            <form>
+              <div class="form-group stacked">
+                <label>Note for the player</label>
+                <textarea name="note" rows="4" placeholder="What needs to change?"></textarea>
+              </div>
+            </form>`,
+          label: "Reject",
+          callback: (html) => {
+            const form = html[0]?.querySelector("form") ?? html.querySelector?.("form");
+            return form?.querySelector("[name=note]")?.value?.trim() ?? "";
+          },
+          rejectClose: false
+        });
+        if (note === null || note === undefined) return;
+        await this._review(uuid, REVIEW_STATUS.REJECTED, note);
+      });
+    });
+  }
+
+  async _review(blueprintUuid, status, note) {
+    const success = await reviewInnovation(blueprintUuid, status, note);
+    if (!success) ui.notifications.error("Failed to update the blueprint's review status.");
+    await this.render();
+  }
+}
+
+/**
+ * Version history of one blueprint: compare snapshots and update active copies.
+ */
+class InnovationsVersionsApp extends InnovationsBaseApp {
+  static DEFAULT_OPTIONS = foundry.utils.mergeObject(super.DEFAULT_OPTIONS, {
+    tag: "section",
+    classes: ["innovations-codex"],
+    window: { title: "Blueprint Versions", resizable: true },
+    position: { width: 640 }
   });
 
-  constructor(codex, options = {}) {
-    super(options);
+  static TEMPLATE = `modules/${MODULE_ID}/templates/blueprint-versions.hbs`;
+
+  constructor(blueprint, codex, options = {}) {
+    super({ id: `innovations-versions-${blueprint.id}`, ...options });
+    this.blueprint = blueprint;
     this.codex = codex;
-    this.activeTab = options.tab ?? "blueprints";
+    this.compare = { from: null, to: null };
   }
 
   get title() {
-    return this.codex?.name ?? CODEX_NAME;
+    return `${this.blueprint.name}: Versions`;
   }
 
   async _prepareContext() {
-    const parentActor = this.codex?.parent instanceof Actor ? this.codex.parent : null;
-    const blueprints = parentActor ? getBlueprintItems(parentActor, this.codex) : [];
-    const targets = getTargetActors(game.user);
-    const activeInnovations = getActiveInnovations(this.codex);
+    const versions = getBlueprintVersions(this.blueprint);
+    const current = getBlueprintVersion(this.blueprint);
+    const to = versions.find((v) => v.version === this.compare.to) ?? versions.at(-1);
+    const from = versions.find((v) => v.version === this.compare.from) ?? versions.at(-2) ?? to;
+    const copies = getCodexFabrications(this.codex.uuid)
+      .filter((i) => i.getFlag(MODULE_ID, "blueprintUuid") === this.blueprint.uuid)
+      .map((item) => {
+        const version = item.getFlag(MODULE_ID, "blueprintVersion") ?? null;
+        return {
+          uuid: item.uuid,
+          name: item.name,
+          actorName: item.parent?.name,
+          actorImg: item.parent?.img,
+          versionLabel: version ? `v${version}` : "unversioned",
+          isOutdated: version !== current
+        };
+      });
+    const diff = from && to ? diffBlueprintSnapshots(from.data, to.data) : [];
+    const options = (selected) => versions.slice().reverse().map((v) => ({
+      value: v.version,
+      label: `v${v.version} \u2013 ${new Date(v.createdAt).toLocaleString()}${v.userName ? ` (${v.userName})` : ""}`,
+      selected: v.version === selected?.version
+    }));
 
     return {
-      codexName: this.codex?.name ?? CODEX_NAME,
-      codexUuid: this.codex?.uuid,
-      hasParent: Boolean(parentActor),
-      hasBlueprints: blueprints.length > 0,
-      blueprints,
-      hasTargets: targets.length > 0,
-      targets,
-      defaultTarget: targets[0] ?? null,
-      hasActive: activeInnovations.length > 0,
-      activeInnovations,
-      iconSize: getIconSize(),
-      portraitSize: getPortraitSize(),
-      isBlueprintsTab: this.activeTab === "blueprints",
-      isActiveTab: this.activeTab === "active"
+      name: this.blueprint.name,
+      current,
+      hasVersions: versions.length > 0,
+      fromOptions: options(from),
+      toOptions: options(to),
+      diff,
+      hasDiff: diff.length > 0,
+      sameVersion: from?.version === to?.version,
+      copies,
+      hasCopies: copies.length > 0,
+      hasOutdated: copies.some((c) => c.isOutdated),
+      portraitSize: getPortraitSize()
     };
   }
 
-  async _renderHTML(context, _options) {
-    return renderTemplate(`modules/${MODULE_ID}/templates/innovations-codex.hbs`, context);
-  }
+  _activateListeners(root) {
+    root.querySelectorAll("[data-compare]").forEach((sel) => {
+      sel.addEventListener("change", (e) => {
+        this.compare[e.currentTarget.dataset.compare] = Number.parseInt(e.currentTarget.value, 10);
+        this.render();
+      });
+    });
 
-  _replaceHTML(result, content, _options) {
-    const target = content?.[0] ?? content;
-    if (!target) return;
-    if (typeof result === "string") { target.innerHTML = result; return; }
-    if (result instanceof Node) { target.replaceChildren(result); return; }
-    if (result && typeof result === "object" && typeof result.html === "string") {
-      target.innerHTML = result.html; return;
-    }
+    root.querySelector("[data-action='push-version']")?.addEventListener("click", async (e) => {
+      const itemUuids = Array.from(root.querySelectorAll("[data-copy-uuid]:checked")).map((c) => c.dataset.copyUuid);
+      if (!itemUuids.length) { ui.notifications.warn("Select the copies to update."); return; }
+      e.currentTarget.disabled = true;
+      const count = await pushBlueprintVersion(this.blueprint.uuid, this.codex.uuid, itemUuids);
+      ui.notifications.info(`Updated ${count} cop${count === 1 ? "y" : "ies"} to version ${getBlueprintVersion(this.blueprint)}.`);
+      await this.render();
+    });
   }
+}
 
-  _onRender() {
-    this._activateListeners();
+/**
+ * GM overview of every fabricated item in the world, with bulk recall and clean-up.
+ */
+class InnovationsDashboardApp extends InnovationsBaseApp {
+  static DEFAULT_OPTIONS = foundry.utils.mergeObject(super.DEFAULT_OPTIONS, {
+    id: "innovations-dashboard",
+    tag: "section",
+    classes: ["innovations-codex"],
+    window: { title: "Active Innovations", resizable: true },
+    position: { width: 640, height: 640 }
+  });
+
+  static TEMPLATE = `modules/${MODULE_ID}/templates/innovations-dashboard.hbs`;
+
+  constructor(options = {}) {
+    super(options);
+    this.groupBy = "codex";
+    this.filter = "all";
   }
 
-  _activateListeners() {
-    const appWindow = this.appId
-      ? document.querySelector(`.app.window-app[data-appid="${this.appId}"]`)
-      : null;
-    const root = appWindow?.querySelector(".window-content")
-      ?? this.window?.content?.[0]
-      ?? this.window?.content
-      ?? (this.window?.element?.[0] ?? this.window?.element)
-      ?? document.getElementById(this.id)
-      ?? this.element?.[0]
-      ?? this.element;
-    if (!root) return;
+  async _prepareContext() {
+    return {
+      groups: getDashboardGroups(this.groupBy, this.filter),
+      byCodex: this.groupBy === "codex",
+      staleCount: getFabricatedItems().filter((i) => getFabricationHealth(i).isStale).length,
+      groupOptions: [{ value: "codex", label: "Group by codex" }, { value: "holder", label: "Group by holder" }]
+        .map((o) => ({ ...o, selected: o.value === this.groupBy })),
+      filterOptions: [{ value: "all", label: "All copies" }, { value: "stale", label: "Stale or orphaned" }]
+        .map((o) => ({ ...o, selected: o.value === this.filter })),
+      iconSize: getIconSize(),
+      portraitSize: getPortraitSize()
+    };
+  }
 
-    // Tab buttons
-    root.querySelectorAll("[data-tab]").forEach((btn) => {
-      btn.addEventListener("click", (e) => {
-        e.preventDefault();
-        const tab = e.currentTarget.dataset.tab;
-        if (tab && tab !== this.activeTab) { this.activeTab = tab; this.render(); }
+  _activateListeners(root) {
+    root.querySelectorAll("[data-dashboard]").forEach((sel) => {
+      sel.addEventListener("change", (e) => {
+        this[e.currentTarget.dataset.dashboard] = e.currentTarget.value;
+        this.render();
       });
     });
 
-    // Target portrait swap
-    root.querySelectorAll("[data-target-select]").forEach((sel) => {
-      sel.addEventListener("change", (e) => {
-        const row = e.currentTarget.closest("[data-blueprint-uuid]");
-        const portrait = row?.querySelector(".ic-target-portrait");
-        const option = e.currentTarget.selectedOptions?.[0];
-        if (portrait && option?.dataset?.portrait) portrait.src = option.dataset.portrait;
+    root.querySelectorAll("[data-select-group]").forEach((box) => {
+      box.addEventListener("change", (e) => {
+        const key = e.currentTarget.dataset.selectGroup;
+        root.querySelectorAll("[data-select-item]").forEach((item) => {
+          if (item.dataset.group === key) item.checked = e.currentTarget.checked;
+        });
       });
     });
 
-    // Fabricate
-    root.querySelectorAll("[data-action='fabricate']").forEach((btn) => {
+    root.querySelectorAll("[data-action='open-item']").forEach((btn) => {
       btn.addEventListener("click", async (e) => {
-        const row = e.currentTarget.closest("[data-blueprint-uuid]");
-        const blueprintUuid = e.currentTarget.dataset.itemUuid ?? row?.dataset.blueprintUuid;
-        const select = row?.querySelector("[data-target-select]");
-        const targetUuid = select?.value;
-        if (!targetUuid) { ui.notifications.warn("Select a target actor first."); return; }
-        await this._fabricate(blueprintUuid, targetUuid);
+        const item = await fromUuid(e.currentTarget.closest("[data-item-uuid]")?.dataset.itemUuid);
+        item?.sheet?.render(true);
       });
     });
 
-    // Slot level change
-    root.querySelectorAll("[data-slot-level]").forEach((sel) => {
-      sel.addEventListener("change", async (e) => {
-        const row = e.currentTarget.closest("[data-blueprint-uuid]");
-        const blueprintUuid = row?.dataset.blueprintUuid;
-        if (!blueprintUuid || !this.codex) return;
-        const rawValue = e.currentTarget.value;
-        const level = rawValue === "0" ? null : Number.parseInt(rawValue, 10);
-        const blueprint = await fromUuid(blueprintUuid);
-        if (!blueprint) return;
-        await setSlotLevelForBlueprint(this.codex, blueprint, level);
-        await this.render();
+    root.querySelector("[data-action='recall-selected']")?.addEventListener("click", async (e) => {
+      const uuids = Array.from(root.querySelectorAll("[data-select-item]:checked"), (box) => box.dataset.selectItem);
+      if (!uuids.length) { ui.notifications.warn("Select the copies to recall first."); return; }
+      const confirmed = await Dialog.confirm({
+        title: "Recall Innovations",
+        content: `<p>Recall ${uuids.length} fabricated ${uuids.length === 1 ? "item" : "items"}?</p>`
       });
+      if (!confirmed) return;
+      e.currentTarget.disabled = true;
+      let recalled = 0;
+      for (const uuid of uuids) {
+        const item = fromUuidSync(uuid);
+        if (!item) continue;
+        if (await requestRecall(uuid, item.getFlag(MODULE_ID, "originUuid"), "Recalled from the GM dashboard")) recalled++;
+      }
+      if (recalled < uuids.length) ui.notifications.warn(`Recalled ${recalled} of ${uuids.length} innovations; the rest were already gone or could not be recalled.`);
+      else ui.notifications.info(`Recalled ${recalled} innovations.`);
+      await this.render();
     });
 
-    // Recall
-    root.querySelectorAll("[data-action='recall']").forEach((btn) => {
-      btn.addEventListener("click", async (e) => {
-        const target = e.currentTarget;
-        const itemUuid = target.dataset.itemUuid;
-        if (!itemUuid) return;
-        target.disabled = true;
-        await requestRecall(itemUuid, this.codex?.uuid);
-        await this.render();
+    root.querySelector("[data-action='clean-up']")?.addEventListener("click", async (e) => {
+      const stale = getFabricatedItems().filter((i) => getFabricationHealth(i).isStale);
+      if (!stale.length) return;
+      const confirmed = await Dialog.confirm({
+        title: "Clean Up Innovations",
+        content: `<p>Remove ${stale.length} stale or orphaned fabricated ${stale.length === 1 ? "item" : "items"}? Nothing is refunded.</p>`
       });
+      if (!confirmed) return;
+      e.currentTarget.disabled = true;
+      let removed = 0;
+      for (const item of stale) {
+        if (await requestCleanUp(item.uuid)) removed++;
+      }
+      ui.notifications.info(`Removed ${removed} stale innovations.`);
+      await this.render();
     });
-
-    // "+ New Innovation"
-    const addBtn = root.querySelector("[data-action='add-innovation']");
-    if (addBtn) {
-      addBtn.addEventListener("click", async () => {
-        const actor = this.codex?.parent instanceof Actor ? this.codex.parent : null;
-        if (!actor) { ui.notifications.warn("The Codex must be owned by an actor."); return; }
-        const created = await createNewInnovation(this.codex, actor);
-        if (created) await this.render();
-      });
-    }
   }
+}
 
-  async _fabricate(blueprintUuid, targetUuid) {
-    if (!this.codex) return;
-    const blueprint = await fromUuid(blueprintUuid);
-    const targetActor = await fromUuid(targetUuid);
-    const ownerActor = this.codex.parent instanceof Actor ? this.codex.parent : null;
-
-    if (!(blueprint instanceof Item)) { ui.notifications.error("Blueprint not found."); return; }
-    if (!(targetActor instanceof Actor)) { ui.notifications.error("Target actor not found."); return; }
-    if (!ownerActor) { ui.notifications.error("The Codex must be owned by an Actor."); return; }
-
-    const slotLevel = getSlotLevel(this.codex, blueprint);
-    if (!slotLevel || slotLevel < 1 || slotLevel > 9) {
-      ui.notifications.warn("Assign a spell level before fabricating.");
-      return;
-    }
+function openBlueprintVersions(blueprint, codex) {
+  if (!(blueprint instanceof Item) || !isCodexItem(codex)) return;
+  const existing = foundry.applications.instances.get(`innovations-versions-${blueprint.id}`);
+  if (existing) existing.render({ force: true });
+  else new InnovationsVersionsApp(blueprint, codex).render(true);
+}
 
-    const confirmSpend = await Dialog.confirm({
-      title: "Consume Spell Slot",
-      content: `<p>Consume a level ${slotLevel} spell slot from ${ownerActor.name} to fabricate ${blueprint.name}?</p>`
-    });
-    if (!confirmSpend) return;
+function openDashboard() {
+  if (!game.user.isGM) {
+    ui.notifications.warn("Only a GM can open the innovations dashboard.");
+    return;
+  }
+  const existing = foundry.applications.instances.get("innovations-dashboard");
+  if (existing) existing.render({ force: true });
+  else new InnovationsDashboardApp().render(true);
+}
 
-    const slotPath = `system.spells.spell${slotLevel}.value`;
-    const currentSlots = foundry.utils.getProperty(ownerActor, slotPath);
-    if (!Number.isFinite(currentSlots) || currentSlots <= 0) {
-      ui.notifications.warn(`No level ${slotLevel} spell slots available on ${ownerActor.name}.`);
-      return;
-    }
+function openReviewQueue() {
+  if (!game.user.isGM) {
+    ui.notifications.warn("Only a GM can review innovations.");
+    return;
+  }
+  new InnovationsReviewApp().render(true);
+}
 
-    // All GM operations via socketlib
-    const success = await fabricate(ownerActor.uuid, targetActor.uuid, blueprintUuid, this.codex.uuid, slotLevel);
-    if (success) {
-      ui.notifications.info(`Fabricated Temporary ${blueprint.name} for ${targetActor.name}.`);
-    } else {
-      ui.notifications.error("Fabrication failed.");
-    }
-    await this.render();
+/**
+ * Re-render every open window of the given application class.
+ */
+function refreshOpenApps(AppClass) {
+  for (const app of foundry.applications.instances.values()) {
+    if (app instanceof AppClass && app.rendered) app.render();
   }
 }
 
@@ -932,10 +5133,126 @@ Hooks.once("init", () => {
     name: "Target Actor Filter",
     hint: "Choose which actors appear as fabrication targets.",
     scope: "world", config: true, type: String,
-    choices: { pcs: "Player Characters", owned: "All Owned Characters" },
+    choices: { pcs: "Player Characters", owned: "All Owned Characters", tokens: "Tokens in Current Scene" },
     default: "pcs"
   });
 
+  game.settings.register(MODULE_ID, "maxActiveInnovations", {
+    name: "Maximum Active Innovations",
+    hint: "How many fabricated items one codex may have out at once. Use a number or a formula such as @abilities.int.mod or @classes.artificer.levels. Leave blank for no limit. GMs can override this per actor in the Codex window.",
+    scope: "world", config: true, type: String, default: ""
+  });
+
+  game.settings.register(MODULE_ID, "levelRule", {
+    name: "Innovation Level Rule",
+    hint: "Which levels a blueprint may be assigned to. GMs can exempt single blueprints in their settings.",
+    scope: "world", config: true, type: String,
+    choices: LEVEL_RULES,
+    default: "slots"
+  });
+
+  game.settings.register(MODULE_ID, "levelTable", {
+    name: "Innovation Level Table",
+    hint: "For the class level table rule: class level and highest innovation level pairs, e.g. 1:1, 5:2, 9:3, 13:4, 17:5.",
+    scope: "world", config: true, type: String, default: "1:1, 5:2, 9:3, 13:4, 17:5"
+  });
+
+  game.settings.register(MODULE_ID, "levelTableClass", {
+    name: "Innovation Level Table Class",
+    hint: "Class identifier whose levels the table uses, e.g. artificer. Leave blank to use the total character level.",
+    scope: "world", config: true, type: String, default: ""
+  });
+
+  game.settings.register(MODULE_ID, "maxBlueprintsPerLevel", {
+    name: "Blueprints per Level",
+    hint: "How many blueprints one codex may hold at each level. Use one number for every level or a comma-separated list starting at level 1, e.g. 4, 3, 3, 2, 1. Leave blank for no cap.",
+    scope: "world", config: true, type: String, default: ""
+  });
+
+  game.settings.register(MODULE_ID, "rootFolderName", {
+    name: "Mirror Folder Name",
+    hint: "Name of the world Items folder that holds the module's items and blueprint mirrors.",
+    scope: "world", config: true, type: String, default: CODEX_NAME,
+    onChange: () => { if (isActiveGM()) ensureFolderHierarchy(); }
+  });
+
+  game.settings.register(MODULE_ID, "folderScheme", {
+    name: "Mirror Folder Layout",
+    hint: "How blueprint mirrors are organised inside the mirror folder. Existing mirrors are moved when this changes.",
+    scope: "world", config: true, type: String,
+    choices: FOLDER_SCHEMES,
+    default: "level",
+    onChange: () => { if (isActiveGM()) migrateMirrorFolders(); }
+  });
+
+  game.settings.register(MODULE_ID, "syncPolicy", {
+    name: "Mirror Conflict Policy",
+    hint: "When a blueprint and its copy in the Innovations Codex world folder were both changed since they were last in sync, which one is kept. Also decides whether deleting a world mirror withdraws the blueprint for review (GM wins) or rebuilds the mirror (player wins).",
+    scope: "world", config: true, type: String,
+    choices: SYNC_POLICIES,
+    default: "gm"
+  });
+
+  game.settings.register(MODULE_ID, "researchHoursPerLevel", {
+    name: "Research Hours per Level",
+    hint: "Hours of work a new blueprint needs per level it is researched for. Use 0 to let players create blueprints without research.",
+    scope: "world", config: true, type: Number, default: 8
+  });
+
+  game.settings.register(MODULE_ID, "researchGoldPerLevel", {
+    name: "Research Gold per Level",
+    hint: "Gold pieces a new blueprint costs per level it is researched for, paid when research starts.",
+    scope: "world", config: true, type: Number, default: 50
+  });
+
+  game.settings.register(MODULE_ID, "researchHoursPerDay", {
+    name: "Research Hours per Day",
+    hint: "Hours of work in one day of downtime. Advancing world time adds research at this rate per 24 hours.",
+    scope: "world", config: true, type: Number, default: 8
+  });
+
+  game.settings.register(MODULE_ID, "researchWorldTime", {
+    name: "Research Advances with World Time",
+    hint: "Add progress to every unfinished research project as world time passes. While this is on, players cannot log downtime, so no hours are counted twice.",
+    scope: "world", config: true, type: Boolean, default: false
+  });
+
+  game.settings.register(MODULE_ID, "researchMaxLogDays", {
+    name: "Most Downtime per Log",
+    hint: "Days of downtime a player can log on a research project at once. Use 0 for no limit.",
+    scope: "world", config: true, type: Number, default: 7
+  });
+
+  game.settings.register(MODULE_ID, "researchAbility", {
+    name: "Research Check Ability",
+    hint: "Ability used for research checks, e.g. int.",
+    scope: "world", config: true, type: String, default: "int"
+  });
+
+  game.settings.register(MODULE_ID, "researchTool", {
+    name: "Research Check Tool",
+    hint: "Tool the check uses when the researcher is proficient with it, e.g. tinker. Leave blank for a plain ability check.",
+    scope: "world", config: true, type: String, default: "tinker"
+  });
+
+  game.settings.register(MODULE_ID, "researchCheckDC", {
+    name: "Research Check DC",
+    hint: "A research check at or above this DC adds bonus progress.",
+    scope: "world", config: true, type: Number, default: 15
+  });
+
+  game.settings.register(MODULE_ID, "researchCheckHours", {
+    name: "Research Check Bonus Hours",
+    hint: "Hours of progress a successful research check adds.",
+    scope: "world", config: true, type: Number, default: 4
+  });
+
+  game.settings.register(MODULE_ID, "ledgerSize", {
+    name: "Ledger Size",
+    hint: "How many history entries each codex keeps. Older entries are dropped first. Use 0 to keep everything.",
+    scope: "world", config: true, type: Number, default: 200
+  });
+
   game.settings.register(MODULE_ID, "iconSize", {
     name: "Item Icon Size",
     hint: "Size (in pixels) for blueprint item icons.",
@@ -952,10 +5269,35 @@ Hooks.once("init", () => {
     default: "48"
   });
 
+  // Chat card buttons. V13 passes an HTMLElement to its own hook; V12 passes jQuery.
+  if (game.release.generation >= 13) {
+    Hooks.on("renderChatMessageHTML", (message, html) => activateInnovationCard(message, html));
+  } else {
+    Hooks.on("renderChatMessage", (message, html) => activateInnovationCard(message, html[0] ?? html));
+  }
+
+  // GM context entry in the Items directory for marking templates
+  const itemContextHook = game.release.generation >= 13 ? "getItemContextOptions" : "getItemDirectoryEntryContext";
+  Hooks.on(itemContextHook, (_directory, options) => {
+    const itemFor = (li) => game.items.get(li.dataset?.entryId ?? li.data?.("documentId") ?? li[0]?.dataset?.documentId);
+    options.push({
+      name: "Toggle Innovation Template",
+      icon: '<i class="fas fa-drafting-compass"></i>',
+      condition: (li) => game.user.isGM && (itemFor(li)?.type in INNOVATION_ITEM_TYPES),
+      callback: (li) => {
+        const item = itemFor(li);
+        if (item) toggleInnovationTemplate(item);
+      }
+    });
+  });
+
   const moduleApi = game.modules.get(MODULE_ID);
   if (moduleApi) {
     moduleApi.api = {
       openCodex: openCodexByUuid,
+      openReviewQueue,
+      openDashboard,
+      resyncAllMirrors,
       useCreateFeature: async (featUuid) => {
         const feat = await fromUuid(featUuid);
         if (feat) await useCreateFeature(feat);
@@ -966,10 +5308,226 @@ Hooks.once("init", () => {
 
 // --- GM setup on ready ---
 Hooks.once("ready", async () => {
+  buildFabricationIndex();
   if (game.user.isGM) {
     const rootFolder = await ensureFolderHierarchy();
     await ensureWorldItems(rootFolder);
   }
+  if (isActiveGM()) await migrateReviewStatus();
+});
+
+// --- Keep open windows current when blueprints change ---
+Hooks.on("updateItem", (item, changes) => {
+  if (!item.getFlag(MODULE_ID, "isInnovation") && !isCodexItem(item)) return;
+  if (!foundry.utils.hasProperty(changes, `flags.${MODULE_ID}`) && !("name" in changes) && !("img" in changes)) return;
+  refreshOpenApps(InnovationsCodexApp);
+  refreshOpenApps(InnovationsReviewApp);
+  refreshOpenApps(InnovationsVersionsApp);
+});
+
+// --- Fabricated item index; open Codex windows and the dashboard re-render when it changes ---
+Hooks.on("createItem", (item) => indexFabricatedItem(item));
+Hooks.on("updateItem", (item) => {
+  if (item.getFlag(MODULE_ID, "isTemporary") || fabricationOrigins.has(item.uuid)) indexFabricatedItem(item);
+});
+Hooks.on("deleteItem", (item) => unindexFabricatedUuid(item.uuid));
+
+// Whole actors, tokens and scenes come and go without item hooks; only the one that changed is visited
+Hooks.on("createActor", (actor) => indexActorFabrications(actor));
+Hooks.on("deleteActor", (actor) => unindexFabricationsUnder(actor.uuid));
+Hooks.on("createToken", (token) => reindexTokenFabrications(token));
+Hooks.on("deleteToken", (token) => unindexFabricationsUnder(token.uuid));
+Hooks.on("createScene", (scene) => scene.tokens.forEach((token) => reindexTokenFabrications(token)));
+Hooks.on("deleteScene", (scene) => unindexFabricationsUnder(scene.uuid));
+
+// Resetting a token's delta, relinking it or pointing it at another actor swaps its items wholesale
+Hooks.on("updateToken", (token, changes) => {
+  if (["actorLink", "actorId", "delta"].some((key) => key in changes)) reindexTokenFabrications(token);
+});
+
+// --- GM-controlled flags: review, research, levels and exemptions are only written by GM handlers ---
+Hooks.on("preUpdateItem", (item, changes, options, userId) => {
+  if (game.users.get(userId)?.isGM || !touchesGuardedFlags(item, changes)) return;
+  ui.notifications.warn(`The codex settings of ${item.name} can only be changed through the Innovations Codex.`);
+  return false;
+});
+
+// A blueprint a player creates directly, e.g. by duplicating one, has not been reviewed
+Hooks.on("preCreateItem", (item, data, options, userId) => {
+  if (game.users.get(userId)?.isGM || !isEditableBlueprint(item)) return;
+  item.updateSource({ [`flags.${MODULE_ID}.reviewStatus`]: REVIEW_STATUS.PENDING });
+});
+
+// Client hooks can be skipped, so the active GM checks what actually landed
+Hooks.on("updateItem", (item, changes, options, userId) => {
+  if (!isActiveGM() || isSyncOperation(options)) return;
+  const user = game.users.get(userId) ?? null;
+  if (user && !user.isGM && touchesGuardedFlags(item, changes)) _onGuardedFlagsChanged(item, user);
+});
+
+Hooks.on("createItem", (item, options, userId) => {
+  if (!isActiveGM()) return;
+  const user = game.users.get(userId) ?? null;
+  if (user && !user.isGM && isEditableBlueprint(item) && getReviewStatus(item) !== REVIEW_STATUS.PENDING) {
+    _onGuardedFlagsChanged(item, user);
+  }
+});
+
+// --- Blueprint versions and two-way mirror sync (active GM only) ---
+Hooks.on("updateItem", (item, changes, options, userId) => {
+  if (!isActiveGM() || isSyncOperation(options)) return;
+  if (!("name" in changes) && !("img" in changes) && !("system" in changes)) return;
+  const user = game.users.get(userId) ?? null;
+  if (isEditableBlueprint(item)) _onBlueprintEdited(item, user);
+  else if (isMirrorItem(item) && !item.getFlag(MODULE_ID, "retired")) _onMirrorEdited(item, user);
+});
+
+for (const hook of ["createActiveEffect", "updateActiveEffect", "deleteActiveEffect"]) {
+  Hooks.on(hook, (effect, ...args) => {
+    const [options, userId] = args.slice(-2);
+    if (!isActiveGM() || isSyncOperation(options)) return;
+    const user = game.users.get(userId) ?? null;
+    if (isEditableBlueprint(effect.parent)) _onBlueprintEdited(effect.parent, user);
+    else if (isMirrorItem(effect.parent) && !effect.parent.getFlag(MODULE_ID, "retired")) _onMirrorEdited(effect.parent, user);
+  });
+}
+
+Hooks.on("deleteItem", (item, options) => {
+  if (!isActiveGM() || isSyncOperation(options)) return;
+  if (isEditableBlueprint(item)) {
+    const mirror = findMirror(item);
+    if (mirror) _retireMirror(mirror);
+  } else if (isMirrorItem(item)) {
+    _onMirrorDeleted(item);
+  } else if (item.getFlag(MODULE_ID, "isTemporary")) {
+    _removeRecipientEffects(item);
+  }
+});
+
+Hooks.on("deleteActor", (actor) => {
+  if (!isActiveGM()) return;
+  for (const mirror of game.items.filter((i) => i.getFlag(MODULE_ID, "mirrorOf")?.startsWith(`${actor.uuid}.`))) {
+    _retireMirror(mirror);
+  }
+});
+
+// --- Fabricated item expiry (active GM only) ---
+Hooks.on("dnd5e.restCompleted", (actor, result) => {
+  if (!isActiveGM() || !(actor instanceof Actor)) return;
+  _lapseRefunds(actor);
+  const modes = result?.longRest ? ["longRest", "shortRest"] : ["shortRest"];
+  const expired = actor.items.filter((i) => i.getFlag(MODULE_ID, "isTemporary")
+    && modes.includes(i.getFlag(MODULE_ID, "expiry")?.mode));
+  if (expired.length) _expireFabricatedItems(expired, result?.longRest ? "a long rest" : "a short rest");
+});
+
+Hooks.on("updateWorldTime", (worldTime, delta) => {
+  refreshOpenApps(InnovationsCodexApp);
+  if (!isActiveGM()) return;
+  if (delta > 0 && game.settings.get(MODULE_ID, "researchWorldTime")) {
+    _advanceResearchByTime(delta * (getResearchSetting("researchHoursPerDay") / 24));
+  }
+  const expired = getFabricatedItems().filter((i) => {
+    const expiry = i.getFlag(MODULE_ID, "expiry");
+    return Number.isFinite(expiry?.expiresAt) && expiry.expiresAt <= worldTime;
+  });
+  if (expired.length) _expireFabricatedItems(expired, "its duration ran out");
+});
+
+// Copies whose charges come back on a rest or at dawn wait for it; only copies that never recover are recalled
+Hooks.on("updateItem", (item, changes) => {
+  if (!isActiveGM() || !item.getFlag(MODULE_ID, "isTemporary")) return;
+  const copyUses = getCopyUses(item);
+  if (!copyUses || (copyUses.recovery in COPY_RECOVERY && copyUses.recovery !== "none")) return;
+  if (!foundry.utils.hasProperty(changes, "system.uses")) return;
+  if (item.system.uses?.max > 0 && item.system.uses.value <= 0) _expireFabricatedItems([item], "its charges ran out");
+});
+
+Hooks.on("updateCombat", (combat, changes) => {
+  if (!("round" in changes)) return;
+  refreshOpenApps(InnovationsCodexApp);
+  if (!isActiveGM()) return;
+  const expired = getFabricatedItems().filter((i) => {
+    const expiry = i.getFlag(MODULE_ID, "expiry");
+    return expiry?.combatId === combat.id && combat.round >= expiry.expiresRound;
+  });
+  if (expired.length) _expireFabricatedItems(expired, `round ${combat.round} of combat`);
+});
+
+Hooks.on("deleteCombat", (combat) => {
+  if (!isActiveGM()) return;
+  const expired = getFabricatedItems().filter((i) => i.getFlag(MODULE_ID, "expiry")?.combatId === combat.id);
+  if (expired.length) _expireFabricatedItems(expired, "the end of combat");
+});
+
+// --- Targets and token positions affect the Codex window's target lists ---
+Hooks.on("targetToken", (user) => {
+  if (user === game.user) refreshOpenApps(InnovationsCodexApp);
+});
+
+Hooks.on("updateToken", (_token, changes) => {
+  if ("x" in changes || "y" in changes) refreshOpenApps(InnovationsCodexApp);
+});
+
+Hooks.on("canvasReady", () => refreshOpenApps(InnovationsCodexApp));
+
+// --- Drag-and-drop from the Codex window ---
+Hooks.on("dropCanvasData", (canvasRef, data) => {
+  if (!isInnovationDragData(data)) return;
+  const token = canvasRef.tokens.placeables
+    .filter((t) => t.actor && t.bounds.contains(data.x, data.y))
+    .sort((a, b) => b.document.sort - a.document.sort)[0];
+  if (!token) {
+    ui.notifications.warn("Drop the innovation onto a token.");
+    return false;
+  }
+  handleInnovationDrop(data, token.actor);
+  return false;
+});
+
+Hooks.on("dropActorSheetData", (actor, _sheet, data) => {
+  if (!isInnovationDragData(data)) return;
+  handleInnovationDrop(data, actor);
+  return false;
+});
+
+Hooks.on("renderActorDirectory", (_directory, html) => {
+  const element = html[0] ?? html;
+  element.querySelectorAll(".directory-item[data-document-id], .directory-item[data-entry-id]").forEach((li) => {
+    li.addEventListener("drop", (e) => {
+      const data = getDragEventData(e);
+      if (!isInnovationDragData(data)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const actor = game.actors.get(li.dataset.entryId ?? li.dataset.documentId);
+      handleInnovationDrop(data, actor);
+    });
+  });
+});
+
+// --- GM dashboard: Items directory button and token scene control ---
+Hooks.on("renderItemDirectory", (_directory, html) => {
+  if (!game.user.isGM) return;
+  const element = html[0] ?? html;
+  const actions = element.querySelector(".header-actions");
+  if (!actions || actions.querySelector(".ic-dashboard-button")) return;
+  const button = document.createElement("button");
+  button.type = "button";
+  button.classList.add("ic-dashboard-button");
+  button.innerHTML = '<i class="fas fa-toolbox"></i> Active Innovations';
+  button.addEventListener("click", () => openDashboard());
+  actions.append(button);
+});
+
+Hooks.on("getSceneControlButtons", (controls) => {
+  if (!game.user.isGM) return;
+  const tool = { name: "innovationsDashboard", title: "Active Innovations", icon: "fas fa-toolbox", button: true, visible: true };
+  // V13 passes an object of controls keyed by name; V12 passes an array
+  if (Array.isArray(controls)) {
+    controls.find((c) => c.name === "token")?.tools.push({ ...tool, onClick: () => openDashboard() });
+  } else if (controls.tokens) {
+    controls.tokens.tools[tool.name] = { ...tool, order: Object.keys(controls.tokens.tools).length, onChange: () => openDashboard() };
+  }
 });
 
 // --- Feat usage hook ---
@@ -985,6 +5543,31 @@ Hooks.on("dnd5e.preUseActivity", (activity, usageConfig, dialogConfig, messageCo
   return false;
 });
 
+// --- Fabricated item use and dismantling ---
+Hooks.on("dnd5e.postUseActivity", async (activity) => {
+  const item = activity?.item;
+  if (!item?.getFlag(MODULE_ID, "isTemporary") || !item.isOwner) return;
+  await recordInnovationUse(item.uuid);
+  await checkMalfunction(item);
+});
+
+// A use announced in chat counts even if the holder's client never reports it
+Hooks.on("createChatMessage", (message) => {
+  if (!isActiveGM() || message.getFlag("dnd5e", "messageType") !== "usage") return;
+  const item = fromUuidSync(message.getFlag("dnd5e", "item")?.uuid ?? "");
+  if (item?.getFlag?.(MODULE_ID, "isTemporary")) _markFabricationUsed(item);
+});
+
+Hooks.on("dnd5e.getItemContextOptions", (item, menuItems) => {
+  if (!item?.getFlag(MODULE_ID, "isTemporary")) return;
+  menuItems.push({
+    name: "Dismantle Innovation",
+    icon: '<i class="fas fa-hammer"></i>',
+    condition: () => item.isOwner,
+    callback: () => dismantleInnovation(item)
+  });
+});
+
 // --- Hotbar macro ---
 Hooks.on("hotbarDrop", async (bar, data, slot) => {
   if (data?.type !== "Item" || !data?.uuid) return;